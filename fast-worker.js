@@ -1,7 +1,8 @@
 importScripts(
-    "https://cdnjs.cloudflare.com/ajax/libs/d3/7.9.0/d3.min.js",
-    "https://cdnjs.cloudflare.com/ajax/libs/topojson/3.0.2/topojson.min.js",
-    "https://cdn.jsdelivr.net/npm/d3-geo-projection@4"
+    "vendor/d3/d3.min.js",
+    "vendor/topojson/topojson.min.js",
+    "vendor/d3-geo-projection/d3-geo-projection.min.js",
+    "limits.js"
 );
 
 let world;
@@ -26,33 +27,57 @@ self.onmessage = function(e) {
     }
 };
 
-function initializeWorld(topology) {
+// Payload: { topology, objectName, nameProperty }. Any TopoJSON object works —
+// world-atlas "countries", us-atlas "states" or an admin-1 file dropped into
+// the page. Each feature's display name is copied from `nameProperty` into
+// properties.name, the one field the rest of the pipeline reads.
+function initializeWorld({ topology, objectName = 'countries', nameProperty = 'name' }) {
+    const object = topology.objects[objectName];
+    if (!object) throw new Error(`TopoJSON has no object "${objectName}"`);
+
     // Use the raw spherical features unmodified. d3.geoPath (used both here for
     // rasterization and on the main thread for the borders) handles antimeridian
     // cutting and polar regions correctly, so mangling longitudes here would only
     // desync the dots from the rendered borders.
-    world = topojson.feature(topology, topology.objects.countries);
+    const collection = topojson.feature(topology, object);
+    world = collection.type === 'FeatureCollection'
+        ? collection
+        : { type: 'FeatureCollection', features: [collection] };
+
+    world.features.forEach((f, i) => {
+        const props = f.properties || (f.properties = {});
+        const name = props[nameProperty];
+        props.name = name !== undefined && name !== null && name !== ''
+            ? String(name)
+            : String(f.id !== undefined ? f.id : `Feature ${i + 1}`);
+    });
 
-    // Precompute a unique fill color per feature. The country index (i + 1) is
-    // encoded into the R and G channels; 0/transparent means ocean.
+    // Precompute a unique fill color per feature. The feature index (i + 1) is
+    // encoded into the R, G and B channels (up to ~16.7M features); 0/transparent
+    // means ocean.
     featureColors = world.features.map((_, i) => {
         const idx = i + 1;
         const r = idx & 0xff;
         const g = (idx >> 8) & 0xff;
-        return `rgb(${r},${g},0)`;
+        const b = (idx >> 16) & 0xff;
+        return `rgb(${r},${g},${b})`;
     });
 
     // Adjacency list (by feature index) so the main thread can offer a
     // "country + neighbours" crop without recomputing topology.
-    const neighbors = topojson.neighbors(topology.objects.countries.geometries);
+    const neighbors = object.type === 'GeometryCollection'
+        ? topojson.neighbors(object.geometries)
+        : world.features.map(() => []);
 
     self.postMessage({ type: 'features', features: world.features, neighbors });
 }
 
-// Build the geometry the projection is fitted to: the selected subset when a
-// region crop is active, otherwise the whole sphere.
-function buildFitGeometry(selectedIndices) {
-    if (!selectedIndices) return null;
+// Build the geometry the projection is fitted to: the crop shape (box or
+// circle) or the selected subset when a region crop is active, otherwise the
+// whole sphere — or the whole dataset for subdivision maps (fitToData).
+function buildFitGeometry(selectedIndices, cropShape, fitToData) {
+    if (cropShape) return cropShape;
+    if (!selectedIndices) return fitToData ? world : null;
     return {
         type: 'FeatureCollection',
         features: selectedIndices.map(i => world.features[i])
@@ -67,7 +92,7 @@ function buildFitGeometry(selectedIndices) {
 // using the SAME projection that draws the borders, giving each country a
 // unique color. A dot's country is then whatever color sits under its pixel.
 // This is O(1) per dot and pixel-perfect with the rendered borders.
-function rasterizeCountries(projection, offsetX, rasterWidth, rasterHeight, drawIndices) {
+function rasterizeCountries(projection, offsetX, rasterWidth, rasterHeight, drawIndices, clipShape) {
     const canvas = new OffscreenCanvas(rasterWidth, rasterHeight);
     const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
@@ -76,6 +101,14 @@ function rasterizeCountries(projection, offsetX, rasterWidth, rasterHeight, draw
 
     const path = d3.geoPath(projection, ctx);
 
+    // A shape crop masks the raster, so land outside the box / circle reads as
+    // ocean and is dropped exactly like unselected countries.
+    if (clipShape) {
+        ctx.beginPath();
+        path(clipShape);
+        ctx.clip();
+    }
+
     // Only the selected countries are drawn when a crop is active, so dots over
     // everything else fall through to "ocean" and get filtered out.
     for (const i of drawIndices) {
@@ -90,67 +123,541 @@ function rasterizeCountries(projection, offsetX, rasterWidth, rasterHeight, draw
 
 // Process a chunk of the grid spanning x in [startX, endX).
 function processChunk(params, chunkId) {
-    const { width, height, projectionName, spacing, showLandDots, showOceanDots, startX, endX, selectedIndices, packing } = params;
+    const { width, height, projectionName, showLandDots, showOceanDots, startX, endX, selectedIndices, projectionOptions, cropShape, fitToData, cropStyle, coastDistance, borderDistance } = params;
+
+    const fitGeometry = buildFitGeometry(selectedIndices, cropShape, fitToData);
+    const projection = setupProjection(projectionName, width, height, fitGeometry, projectionOptions);
+
+    // Highlight crops keep the whole world: everything is rasterized and the
+    // dots outside the selection are flagged as muted context instead of
+    // being dropped.
+    const highlight = cropStyle === 'highlight' && !!selectedIndices;
+    const allIndices = world.features.map((_, i) => i);
+    const drawIndices = highlight ? allIndices : (selectedIndices || allIndices);
+    const filterActive = !!selectedIndices && !highlight;
+    const selectedFeatures = highlight ? new Set(selectedIndices.map(i => world.features[i])) : null;
+
+    // Distance fields need the raster to reach past the chunk by the largest
+    // distance they measure, so a dot's distance never depends on where its
+    // chunk happens to end.
+    const pad = coastDistance || borderDistance ? DISTANCE_FIELD_MAX : 0;
+    const rasterStart = Math.max(0, startX - pad);
+    const rasterWidth = Math.min(width, endX + pad) - rasterStart;
+    const clipShape = highlight ? null : cropShape;
+    const image = rasterizeCountries(projection, rasterStart, rasterWidth, height, drawIndices, clipShape);
+    const data = image.data;
 
-    const fitGeometry = buildFitGeometry(selectedIndices);
-    const projection = setupProjection(projectionName, width, height, fitGeometry);
+    // Coasts and borders are the real ones: a crop's edge or an unselected
+    // neighbour is neither, so the fields come from every country, unclipped
+    // (the raster above already is when nothing is cropped away).
+    let fieldData = data;
+    if (pad && (drawIndices !== allIndices || clipShape)) {
+        fieldData = rasterizeCountries(projection, rasterStart, rasterWidth, height, allIndices, null).data;
+    }
+    const coastField = coastDistance ? coastDistanceField(fieldData, rasterWidth, height) : null;
+    const borderField = borderDistance ? borderDistanceField(fieldData, rasterWidth, height) : null;
 
-    const drawIndices = selectedIndices || world.features.map((_, i) => i);
-    const filterActive = !!selectedIndices;
+    const results = [];
 
-    const rasterWidth = endX - startX;
-    const image = rasterizeCountries(projection, startX, rasterWidth, height, drawIndices);
-    const data = image.data;
+    for (const [x, y, sphereCoords] of chunkSamplePoints(params, projection)) {
+        const py = Math.min(height - 1, Math.max(0, Math.round(y)));
 
-    const results = [];
+        // Sphere samplers already know each dot's lon/lat. For screen-space
+        // ones, invert serves double duty: it clips points outside the
+        // projected sphere (corners of an orthographic, gaps in interrupted
+        // maps) and provides the lat/lon shown in the hover tooltip.
+        const coords = sphereCoords || projection.invert([x, y]);
+        if (!isValidCoordinate(coords)) continue;
+
+        const col = Math.min(rasterWidth - 1, Math.max(0, Math.round(x - rasterStart)));
+        const country = lookupCountry(data, col, py, rasterWidth, height);
+        // Land and ocean dots are independently toggleable. When cropping,
+        // anything not in the selection is always dropped (a crop never shows
+        // ocean dots over unselected land). A shape crop draws every country
+        // it touches, so open water inside the shape may keep its ocean dots.
+        if (country) {
+            if (!showLandDots) continue;
+        } else if (!showOceanDots) {
+            continue;
+        } else if (highlight) {
+            // ocean stays as on the whole-world map
+        } else if (cropShape) {
+            if (!d3.geoContains(cropShape, coords)) continue;
+        } else if (filterActive) {
+            continue;
+        }
+
+        const dot = {
+            x,
+            y,
+            countryName: country ? country.properties.name : null,
+            coords
+        };
+        if (highlight && country &&
+            (!selectedFeatures.has(country) || (cropShape && !d3.geoContains(cropShape, coords)))) {
+            dot.context = true;
+        }
+        const k = py * rasterWidth + col;
+        if (coastField) dot.coast = coastField[k];
+        if (borderField && country) dot.border = borderField[k];
+        results.push(dot);
+    }
+
+    return results;
+}
+
+// --- Distance fields ---
+//
+// Per-pixel distances (in map pixels) over the chunk's padded country raster,
+// for styling dots by how far they sit from a coast or an international
+// border. Both come from an exact Euclidean distance transform and are capped
+// at DISTANCE_FIELD_MAX, the padding each chunk's raster gets on either side:
+// anything nearer than the cap is found inside the padded raster, anything
+// farther reads as the cap, so chunks agree at their edges. DISTANCE_FIELD_MAX
+// comes from limits.js, which the page loads too.
+
+// Land pixels: distance to the nearest water; water pixels: distance to the
+// nearest land. Half-covered coastline pixels count as land.
+function coastDistanceField(data, rasterWidth, rasterHeight) {
+    const size = rasterWidth * rasterHeight;
+    const land = new Uint8Array(size);
+    const water = new Uint8Array(size);
+    for (let k = 0; k < size; k++) {
+        if (data[k * 4 + 3] >= 128) land[k] = 1;
+        else water[k] = 1;
+    }
+    const toWater = distanceTransform(water, rasterWidth, rasterHeight);
+    const toLand = distanceTransform(land, rasterWidth, rasterHeight);
+    for (let k = 0; k < size; k++) {
+        if (!land[k]) toWater[k] = toLand[k];
+    }
+    return toWater;
+}
+
+// Distance to the nearest seam between two countries: land pixels (alpha >=
+// 128, as for the coast) whose right or lower neighbour is land of another
+// country. A seam running through a pixel leaves it partly covered, with both
+// countries' colours blended, so pixels are labelled the way dots are
+// (countryIndexAt) rather than by their raw colour.
+function borderDistanceField(data, rasterWidth, rasterHeight) {
+    const size = rasterWidth * rasterHeight;
+    const labels = new Int32Array(size);
+    for (let y = 0; y < rasterHeight; y++) {
+        for (let x = 0; x < rasterWidth; x++) {
+            const k = y * rasterWidth + x;
+            if (data[k * 4 + 3] >= 128) labels[k] = countryIndexAt(data, x, y, rasterWidth, rasterHeight);
+        }
+    }
+    const seams = new Uint8Array(size);
+    for (let y = 0; y < rasterHeight; y++) {
+        for (let x = 0; x < rasterWidth; x++) {
+            const k = y * rasterWidth + x;
+            if (!labels[k]) continue;
+            for (const n of [x + 1 < rasterWidth ? k + 1 : -1, y + 1 < rasterHeight ? k + rasterWidth : -1]) {
+                if (n >= 0 && labels[n] && labels[n] !== labels[k]) {
+                    seams[k] = 1;
+                    seams[n] = 1;
+                }
+            }
+        }
+    }
+    return distanceTransform(seams, rasterWidth, rasterHeight);
+}
+
+// Felzenszwalb & Huttenlocher's separable squared-distance transform: a 1-D
+// pass down every column, then along every row. Returns the distance from each
+// pixel to the nearest seed pixel, capped at DISTANCE_FIELD_MAX and rounded to
+// 0.1 px (it ends up on every dot).
+function distanceTransform(seeds, rasterWidth, rasterHeight) {
+    const grid = new Float64Array(rasterWidth * rasterHeight);
+    for (let k = 0; k < grid.length; k++) grid[k] = seeds[k] ? 0 : 1e20;
+
+    const n = Math.max(rasterWidth, rasterHeight);
+    const f = new Float64Array(n);
+    const d = new Float64Array(n);
+    const v = new Int32Array(n);
+    const z = new Float64Array(n + 1);
+
+    for (let x = 0; x < rasterWidth; x++) {
+        for (let y = 0; y < rasterHeight; y++) f[y] = grid[y * rasterWidth + x];
+        squaredDistance1d(f, rasterHeight, d, v, z);
+        for (let y = 0; y < rasterHeight; y++) grid[y * rasterWidth + x] = d[y];
+    }
+    for (let y = 0; y < rasterHeight; y++) {
+        const row = y * rasterWidth;
+        for (let x = 0; x < rasterWidth; x++) f[x] = grid[row + x];
+        squaredDistance1d(f, rasterWidth, d, v, z);
+        for (let x = 0; x < rasterWidth; x++) grid[row + x] = d[x];
+    }
+
+    const out = new Float32Array(grid.length);
+    for (let k = 0; k < grid.length; k++) {
+        out[k] = Math.min(DISTANCE_FIELD_MAX, Math.round(Math.sqrt(grid[k]) * 10) / 10);
+    }
+    return out;
+}
+
+// Lower envelope of the parabolas rooted at f[q]: d[q] = min_p (q - p)^2 + f[p].
+function squaredDistance1d(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    for (let q = 1; q < n; q++) {
+        let s;
+        while ((s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k])) <= z[k]) k--;
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        const dq = q - v[k];
+        d[q] = dq * dq + f[v[k]];
+    }
+}
 
-    // Hexagonal packing offsets alternate rows by half a step and tightens the
-    // row pitch to spacing*√3/2 so neighbouring dots are equidistant. Row parity
-    // is global (every chunk starts at y=0), and startX is a multiple of spacing,
-    // so the offset grid stays seamless across chunk boundaries.
+// --- Dot sampling ---
+//
+// Every sampler works in global map coordinates and returns only the points
+// whose x falls in this chunk's [startX, endX), so the chunks the pool splits
+// the map into tile together without seams, gaps or duplicates. The random
+// modes draw from a hash of (seed, cell), never from a running PRNG, so a
+// point's position doesn't depend on which chunk (or how many) computed it.
+// Points are [x, y], or [x, y, [lon, lat]] from the sphere samplers.
+
+function chunkSamplePoints(params, projection) {
+    switch (params.packing) {
+        case 'jitter': return jitteredGridPoints(params);
+        case 'poisson': return poissonDiskPoints(params);
+        case 'latlon':
+        case 'fibonacci':
+        case 'healpix': return sphereSamplePoints(params, projection);
+        default: return latticePoints(params);
+    }
+}
+
+// Square or hexagonal lattice. Hexagonal packing offsets alternate rows by
+// half a step and tightens the row pitch to spacing*√3/2 so neighbouring dots
+// are equidistant. Row parity is global (every chunk starts at y=0), and
+// startX is a multiple of spacing, so the offset grid stays seamless across
+// chunk boundaries.
+function latticePoints({ packing, spacing, startX, endX, height }) {
+    const points = [];
     const hex = packing === 'hex';
     const yStep = hex ? spacing * Math.sqrt(3) / 2 : spacing;
     let row = 0;
     for (let y = 0; y < height; y += yStep, row++) {
         const xOffset = (hex && (row % 2 === 1)) ? spacing / 2 : 0;
-        const py = Math.min(height - 1, Math.max(0, Math.round(y)));
-        for (let x = startX + xOffset; x < endX; x += spacing) {
-            const point = [x, y];
-
-            // invert serves double duty: it clips points outside the projected
-            // sphere (corners of an orthographic, gaps in interrupted maps) and
-            // provides the lat/lon shown in the hover tooltip.
-            const coords = projection.invert(point);
-            if (!isValidCoordinate(coords)) continue;
-
-            const col = Math.min(rasterWidth - 1, Math.max(0, Math.round(x - startX)));
-            const country = lookupCountry(data, col, py, rasterWidth, height);
-            // Land and ocean dots are independently toggleable. When cropping,
-            // anything not in the selection is always dropped (a crop never shows
-            // ocean dots over unselected land).
-            if (country) {
-                if (!showLandDots) continue;
-            } else if (filterActive || !showOceanDots) {
-                continue;
+        for (let x = startX + xOffset; x < endX; x += spacing) points.push([x, y]);
+    }
+    return points;
+}
+
+// One point per spacing×spacing cell, placed at a seeded random spot. The
+// jitter box is shrunk by minDistance so points in adjacent cells can never
+// come closer than that.
+function jitteredGridPoints({ spacing, minDistance, packingSeed, startX, endX, height }) {
+    const gap = Math.max(0, Math.min(spacing, minDistance || 0));
+    const box = spacing - gap;
+    const points = [];
+    const firstCol = Math.floor(startX / spacing) - 1;
+    const lastCol = Math.ceil(endX / spacing);
+    for (let row = 0; row * spacing < height; row++) {
+        for (let col = firstCol; col <= lastCol; col++) {
+            const x = col * spacing + gap / 2 + box * hashUnit(packingSeed, col, row, 0);
+            const y = row * spacing + gap / 2 + box * hashUnit(packingSeed, col, row, 1);
+            if (x >= startX && x < endX && y < height) points.push([x, y]);
+        }
+    }
+    return points;
+}
+
+// Poisson-disk (blue-noise) sampling as random sequential adsorption: every
+// background cell of side r/√2 holds a few hashed candidates with hashed
+// priorities, and a candidate is accepted iff no accepted candidate of lower
+// priority lies within r. That rule only looks at nearby candidates, which
+// any chunk can regenerate, so the result is identical to running the greedy
+// process over the whole map at once.
+const POISSON_CANDIDATES = 4;
+const POISSON_CELL_OFFSET = 1 << 13;
+// Background cells the whole map may need (each holds POISSON_CANDIDATES
+// objects). Radii too small for it are raised to fit; the bound is on the
+// full map rather than the chunk so every chunk settles on the same r.
+const POISSON_MAX_CELLS = 1 << 19;
+
+function poissonDiskPoints({ spacing, minDistance, packingSeed, width, startX, endX, height }) {
+    // Spacing sets the density; a larger minimum distance spreads dots further
+    // apart but never packs them tighter (tiny r would mean millions of cells).
+    // The map is (width / cell) × (height / cell) cells with cell = r/√2.
+    const r = Math.max(spacing, minDistance || 0, Math.sqrt(2 * width * height / POISSON_MAX_CELLS));
+    const r2 = r * r;
+    const cell = r / Math.SQRT2;
+    const cells = new Map();
+
+    const candidatesIn = (cx, cy) => {
+        const key = (cy + POISSON_CELL_OFFSET) * 2 * POISSON_CELL_OFFSET + (cx + POISSON_CELL_OFFSET);
+        let list = cells.get(key);
+        if (!list) {
+            list = [];
+            for (let k = 0; k < POISSON_CANDIDATES; k++) {
+                list.push({
+                    x: (cx + hashUnit(packingSeed, cx, cy, 3 * k)) * cell,
+                    y: (cy + hashUnit(packingSeed, cx, cy, 3 * k + 1)) * cell,
+                    priority: hashUnit(packingSeed, cx, cy, 3 * k + 2),
+                    accepted: undefined,
+                    deps: null,
+                    next: 0
+                });
             }
+            cells.set(key, list);
+        }
+        return list;
+    };
 
-            results.push({
-                x,
-                y,
-                countryName: country ? country.properties.name : null,
-                coords
-            });
+    // Lower-priority candidates within r, lowest first (the ones the greedy
+    // process would have placed earliest).
+    const dependencies = (c) => {
+        const cx = Math.floor(c.x / cell), cy = Math.floor(c.y / cell);
+        const deps = [];
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                if (Math.abs(dx) === 2 && Math.abs(dy) === 2) continue; // corners are ≥ r away
+                for (const n of candidatesIn(cx + dx, cy + dy)) {
+                    if (n.priority >= c.priority) continue;
+                    const ddx = n.x - c.x, ddy = n.y - c.y;
+                    if (ddx * ddx + ddy * ddy < r2) deps.push(n);
+                }
+            }
+        }
+        return deps.sort((a, b) => a.priority - b.priority);
+    };
+
+    // Explicit stack instead of recursion: chains of lower-priority
+    // dependencies can get long at small spacings.
+    const resolve = (root) => {
+        const stack = [root];
+        while (stack.length) {
+            const c = stack[stack.length - 1];
+            if (c.accepted !== undefined) { stack.pop(); continue; }
+            if (!c.deps) { c.deps = dependencies(c); c.next = 0; }
+            let waiting = false;
+            while (c.next < c.deps.length) {
+                const n = c.deps[c.next];
+                if (n.accepted === undefined) { stack.push(n); waiting = true; break; }
+                if (n.accepted) { c.accepted = false; break; }
+                c.next++;
+            }
+            if (waiting) continue;
+            if (c.accepted === undefined) c.accepted = true;
+            c.deps = null;
+            stack.pop();
+        }
+        return root.accepted;
+    };
+
+    const points = [];
+    const firstCol = Math.floor(startX / cell);
+    const lastCol = Math.floor(endX / cell);
+    const lastRow = Math.floor(height / cell);
+    for (let cy = 0; cy <= lastRow; cy++) {
+        for (let cx = firstCol; cx <= lastCol; cx++) {
+            for (const c of candidatesIn(cx, cy)) {
+                if (c.x < startX || c.x >= endX || c.y >= height) continue;
+                if (resolve(c)) points.push([c.x, c.y]);
+            }
         }
     }
+    return points;
+}
 
-    return results;
+// Sphere samplers: dots are laid out in lon/lat and projected forward, so dot
+// density follows ground area rather than screen area. The dot count is
+// chosen so that the average screen spacing over the projected globe matches
+// `spacing` (a clip angle hides part of the globe, so the count is scaled up
+// by the hidden fraction). Fibonacci and HEALPix are equal-area (every dot
+// stands for the same ground area); the lat/lon lattice is a plain graticule
+// of dots.
+function sphereSamplePoints({ packing, spacing, startX, endX, height }, projection) {
+    const area = d3.geoPath(projection).area({ type: 'Sphere' });
+    const clipAngle = projection.clipAngle ? projection.clipAngle() : null;
+    const visibleFraction = clipAngle ? (1 - Math.cos(clipAngle * Math.PI / 180)) / 2 : 1;
+    const count = Math.max(12, Math.round(area / (spacing * spacing) / visibleFraction));
+    const step = Math.sqrt(4 * Math.PI / count) * 180 / Math.PI; // degrees between neighbours
+    const bounds = visibleBounds(projection, startX, endX, height, step);
+    if (!bounds) return [];
+
+    const project = visibleProjector(projection);
+    const points = [];
+    const add = (lon, lat) => {
+        if (lat < bounds.latMin || lat > bounds.latMax || !inLonRange(bounds, lon)) return;
+        const p = project(lon, lat);
+        if (p && p[0] >= startX && p[0] < endX && p[1] >= 0 && p[1] < height) {
+            points.push([p[0], p[1], [lon, lat]]);
+        }
+    };
+
+    if (packing === 'latlon') {
+        const rows = Math.max(1, Math.round(180 / step));
+        const cols = Math.max(1, Math.round(360 / step));
+        for (let j = 0; j < rows; j++) {
+            const lat = 90 - (j + 0.5) * 180 / rows;
+            if (lat < bounds.latMin || lat > bounds.latMax) continue;
+            forEachRingLongitude(cols, 0.5, bounds, lon => add(lon, lat));
+        }
+    } else if (packing === 'fibonacci') {
+        // z = 1 - (2i+1)/N spaces the points evenly in z (equal area); the
+        // golden angle spreads consecutive points around the axis. Only the
+        // index range covering the visible latitude band is walked.
+        const golden = 180 * (3 - Math.sqrt(5));
+        const toIndex = lat => (1 - Math.sin(lat * Math.PI / 180)) * count / 2;
+        const first = Math.max(0, Math.floor(toIndex(bounds.latMax)) - 1);
+        const last = Math.min(count - 1, Math.ceil(toIndex(bounds.latMin)) + 1);
+        for (let i = first; i <= last; i++) {
+            const lat = Math.asin(1 - (2 * i + 1) / count) * 180 / Math.PI;
+            add(wrapLongitude(i * golden), lat);
+        }
+    } else {
+        // HEALPix: 12·Nside² equal-area pixels on 4·Nside-1 iso-latitude
+        // rings; dots sit at the pixel centres.
+        const nside = Math.max(1, Math.round(Math.sqrt(count / 12)));
+        for (let ring = 1; ring < 4 * nside; ring++) {
+            const polar = Math.min(ring, 4 * nside - ring);
+            let z, pixels, offset;
+            if (polar < nside) {
+                z = 1 - polar * polar / (3 * nside * nside);
+                pixels = 4 * polar;
+                offset = 0.5;
+            } else {
+                z = (4 / 3) - 2 * Math.min(ring, 4 * nside - ring) / (3 * nside);
+                pixels = 4 * nside;
+                offset = (ring - nside) % 2 === 0 ? 0.5 : 0;
+            }
+            const lat = (ring > 2 * nside ? -1 : 1) * Math.asin(z) * 180 / Math.PI;
+            if (lat < bounds.latMin || lat > bounds.latMax) continue;
+            forEachRingLongitude(pixels, offset, bounds, lon => add(lon, lat));
+        }
+    }
+    return points;
+}
+
+// Calls fn for the longitudes -180 + (j + offset)·360/count that fall in the
+// bounds' longitude range (all of them when it spans the globe).
+function forEachRingLongitude(count, offset, bounds, fn) {
+    const width = 360 / count;
+    if (bounds.lonSpan >= 360) {
+        for (let j = 0; j < count; j++) fn(-180 + (j + offset) * width);
+        return;
+    }
+    const first = Math.ceil((bounds.lonStart + 180) / width - offset);
+    const last = Math.floor((bounds.lonStart + bounds.lonSpan + 180) / width - offset);
+    for (let j = first; j <= last && j < first + count; j++) {
+        fn(wrapLongitude(-180 + (j + offset) * width));
+    }
+}
+
+function wrapLongitude(lon) {
+    return ((lon + 180) % 360 + 360) % 360 - 180;
+}
+
+function inLonRange(bounds, lon) {
+    return bounds.lonSpan >= 360 || ((lon - bounds.lonStart) % 360 + 360) % 360 <= bounds.lonSpan;
+}
+
+// Projects [lon, lat] through the projection's stream so its clipping
+// applies: points on the far side of an orthographic or in the gaps of an
+// interrupted map come back null instead of folding onto the visible map.
+function visibleProjector(projection) {
+    let out = null;
+    const stream = projection.stream({
+        point(x, y) { out = [x, y]; },
+        lineStart() {}, lineEnd() {}, polygonStart() {}, polygonEnd() {}, sphere() {}
+    });
+    return (lon, lat) => {
+        out = null;
+        stream.point(lon, lat);
+        return out;
+    };
+}
+
+// Conservative lon/lat window visible in the chunk [startX, endX) × [0,
+// height): a grid of screen samples is inverted, padded by the largest gap
+// between neighbouring samples, and widened to the poles when one is in view.
+// Returns null when nothing of the globe is visible.
+const BOUNDS_SAMPLES = 24;
+
+function visibleBounds(projection, startX, endX, height, step) {
+    const project = visibleProjector(projection);
+    const dx = (endX - startX) / BOUNDS_SAMPLES, dy = height / BOUNDS_SAMPLES;
+    const grid = [];
+    let latMin = 90, latMax = -90, pad = step;
+    const lons = [];
+    for (let j = 0; j <= BOUNDS_SAMPLES; j++) {
+        const row = [];
+        for (let i = 0; i <= BOUNDS_SAMPLES; i++) {
+            const c = projection.invert([startX + i * dx, j * dy]);
+            const valid = isValidCoordinate(c) && project(c[0], c[1]);
+            row.push(valid ? c : null);
+            if (!valid) continue;
+            latMin = Math.min(latMin, c[1]);
+            latMax = Math.max(latMax, c[1]);
+            lons.push(c[0]);
+            const left = i > 0 ? row[i - 1] : null;
+            const up = j > 0 ? grid[j - 1][i] : null;
+            if (left) pad = Math.max(pad, d3.geoDistance(left, c) * 180 / Math.PI);
+            if (up) pad = Math.max(pad, d3.geoDistance(up, c) * 180 / Math.PI);
+        }
+        grid.push(row);
+    }
+    if (!lons.length) return null;
+
+    let fullLon = false;
+    for (const poleLat of [90, -90]) {
+        const p = project(0, poleLat);
+        if (p && p[0] >= startX - dx && p[0] <= endX + dx && p[1] >= -dy && p[1] <= height + dy) {
+            if (poleLat > 0) latMax = 90; else latMin = -90;
+            fullLon = true;
+        }
+    }
+    latMin = Math.max(-90, latMin - pad);
+    latMax = Math.min(90, latMax + pad);
+    if (latMax >= 90 - pad || latMin <= -90 + pad) fullLon = true;
+
+    // Smallest arc holding every sampled longitude: the complement of the
+    // largest gap between them.
+    let lonStart = -180, lonSpan = 360;
+    if (!fullLon) {
+        lons.sort((a, b) => a - b);
+        let gap = lons[0] + 360 - lons[lons.length - 1], after = lons[0];
+        for (let k = 1; k < lons.length; k++) {
+            if (lons[k] - lons[k - 1] > gap) { gap = lons[k] - lons[k - 1]; after = lons[k]; }
+        }
+        lonSpan = 360 - gap + 2 * pad;
+        lonStart = wrapLongitude(after - pad);
+        if (lonSpan >= 360) { lonStart = -180; lonSpan = 360; }
+    }
+    return { latMin, latMax, lonStart, lonSpan };
+}
+
+// Deterministic float in [0, 1) from a seed and three integers.
+function hashUnit(seed, a, b, c) {
+    let h = Math.imul((seed | 0) ^ 0x9E3779B9, 0x85EBCA6B);
+    h = Math.imul(h ^ Math.imul(a | 0, 0xCC9E2D51), 0x1B873593);
+    h = Math.imul(h ^ (h >>> 15) ^ Math.imul(b | 0, 0x27D4EB2F), 0x165667B1);
+    h = Math.imul(h ^ (h >>> 13) ^ Math.imul(c | 0, 0x9E3779B1), 0x85EBCA77);
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x7FEB352D);
+    h ^= h >>> 15;
+    return (h >>> 0) / 4294967296;
 }
 
 // Single-worker fallback that rasterizes the whole map at once.
-function calculateDots({ width, height, projectionName, spacing, showOceanDots }) {
+function calculateDots({ width, height, projectionName, spacing, showOceanDots, projectionOptions }) {
     return {
         dots: processChunk(
-            { width, height, projectionName, spacing, showOceanDots, startX: 0, endX: width },
+            { width, height, projectionName, spacing, showOceanDots, projectionOptions, startX: 0, endX: width },
             0
         ),
         debugInfo: { totalChecks: 0 }
@@ -159,7 +666,7 @@ function calculateDots({ width, height, projectionName, spacing, showOceanDots }
 
 // --- Helper Functions ---
 
-// Decode the country sitting under raster pixel (col, y).
+// Decode the country (or subdivision) sitting under raster pixel (col, y).
 //
 // alpha === 0    -> genuine open ocean.
 // alpha === 255  -> solid country interior (decode directly).
@@ -169,22 +676,28 @@ function calculateDots({ width, height, projectionName, spacing, showOceanDots }
 //   assign the dominant adjacent country. This keeps border dots attached to a
 //   country while still leaving genuine open-ocean dots as ocean.
 function lookupCountry(data, col, y, rasterWidth, rasterHeight) {
+    const idx = countryIndexAt(data, col, y, rasterWidth, rasterHeight);
+    return idx > 0 ? world.features[idx - 1] : null;
+}
+
+// lookupCountry as a 1-based feature index, 0 for ocean.
+function countryIndexAt(data, col, y, rasterWidth, rasterHeight) {
     const i = (y * rasterWidth + col) * 4;
     const alpha = data[i + 3];
-    if (alpha === 0) return null; // open ocean
+    if (alpha === 0) return 0; // open ocean
 
     if (alpha === 255) {
-        const idx = data[i] + (data[i + 1] << 8);
-        if (idx > 0 && idx <= world.features.length) return world.features[idx - 1];
+        const idx = data[i] + (data[i + 1] << 8) + (data[i + 2] << 16);
+        if (idx > 0 && idx <= world.features.length) return idx;
     }
 
-    return dominantNeighbourCountry(data, col, y, rasterWidth, rasterHeight);
+    return dominantNeighbourIndex(data, col, y, rasterWidth, rasterHeight);
 }
 
 // Most common country among solid (opaque) pixels in a small window around
-// (col, y). Searches radius 1 first, then radius 2; returns null if no solid
+// (col, y). Searches radius 1 first, then radius 2; returns 0 if no solid
 // land is nearby (a true ocean sliver).
-function dominantNeighbourCountry(data, col, y, rasterWidth, rasterHeight) {
+function dominantNeighbourIndex(data, col, y, rasterWidth, rasterHeight) {
     const counts = new Map();
     let bestIdx = 0;
     let bestCount = 0;
@@ -199,7 +712,7 @@ function dominantNeighbourCountry(data, col, y, rasterWidth, rasterHeight) {
                 if (xx < 0 || xx >= rasterWidth) continue;
                 const j = (yy * rasterWidth + xx) * 4;
                 if (data[j + 3] < 250) continue; // only solid interior pixels
-                const idx = data[j] + (data[j + 1] << 8);
+                const idx = data[j] + (data[j + 1] << 8) + (data[j + 2] << 16);
                 if (idx < 1 || idx > world.features.length) continue;
                 const c = (counts.get(idx) || 0) + 1;
                 counts.set(idx, c);
@@ -209,7 +722,7 @@ function dominantNeighbourCountry(data, col, y, rasterWidth, rasterHeight) {
         if (bestIdx > 0) break; // found at this radius
     }
 
-    return bestIdx > 0 ? world.features[bestIdx - 1] : null;
+    return bestIdx;
 }
 
 function isValidCoordinate(coordinates) {
@@ -219,7 +732,7 @@ function isValidCoordinate(coordinates) {
         Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
 }
 
-function setupProjection(projectionName, width, height, fitGeometry) {
+function setupProjection(projectionName, width, height, fitGeometry, options = {}) {
     // Fall back gracefully if a projection name isn't available, rather than
     // throwing (must mirror setupProjection in index.js).
     const factory = typeof d3[projectionName] === "function" ? d3[projectionName] : d3.geoEquirectangular;
@@ -227,22 +740,7 @@ function setupProjection(projectionName, width, height, fitGeometry) {
 
     // Configure projection parameters BEFORE fitSize so the fit (scale +
     // translate) is computed for the final center/parallels/clip.
-    switch (projectionName) {
-        case 'geoOrthographic':
-        case 'geoStereographic':
-            projection.clipAngle(90);
-            break;
-        case 'geoGnomonic':
-            projection.clipAngle(60);
-            break;
-        case 'geoAlbers':
-        case 'geoConicEqualArea':
-        case 'geoConicEquidistant':
-            projection
-                .parallels([20, 50])
-                .center([0, 40]);
-            break;
-    }
+    configureProjection(projection, options || {});
 
     // Fit to the selected region when cropping (with a little padding),
     // otherwise to the whole sphere. fitExtent with pad 0 == fitSize.
@@ -252,3 +750,23 @@ function setupProjection(projectionName, width, height, fitGeometry) {
 
     return projection;
 }
+
+// Apply the main thread's parameter panel options (parallels, center, clip
+// angle, precision, reflection, rotation). Must mirror configureProjection in
+// index.js.
+function configureProjection(projection, options) {
+    if (options.parallels) {
+        if (projection.parallels) projection.parallels(options.parallels);
+        else if (projection.parallel) projection.parallel(options.parallels[0]);
+    }
+    if (options.center) projection.center(options.center);
+    if (options.clipAngle) projection.clipAngle(options.clipAngle);
+    if (options.precision !== null && options.precision !== undefined) projection.precision(options.precision);
+    if (options.reflectX) projection.reflectX(true);
+    if (options.reflectY) projection.reflectY(true);
+    if (options.rotate) projection.rotate(addRotation(projection.rotate(), options.rotate));
+}
+
+function addRotation(base, rotate) {
+    return [base[0] + rotate[0], base[1] + rotate[1], (base[2] || 0) + (rotate[2] || 0)];
+}
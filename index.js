@@ -22,10 +22,15 @@ function getDisplayDimensions() {
 let world = { features: [] }; // Initialize with empty features
 let countryNeighbors = [];    // adjacency by feature index (from topojson)
 let currentProjection;
+let baseRotation = [0, 0, 0]; // the projection's own rotation, before the user's
 let path;
 let countryColors = new Map();
 let debugInfo = { totalChecks: 0, circleChecks: 0, fullChecks: 0, gridChecks: 0 };
 
+// Mean Earth radius, for converting between km and angles on the sphere.
+// Declared up here because top-level tables below (gradient ranges) use it.
+const EARTH_RADIUS_KM = 6371;
+
 // Enhanced Worker Pool and Cache
 let workerPool = null;
 let isCalculating = false;
@@ -59,8 +64,8 @@ function setStatus(text, isError = false) {
 const dotCache = new Map();
 const DOT_CACHE_LIMIT = 10;
 
-function dotCacheKey({ projectionName, width, height, spacing, packing, showLandDots, showOceanDots, region }) {
-    return `${projectionName}-${width}-${height}-${spacing}-${packing || "square"}-${showLandDots}-${showOceanDots}-${region || "world"}`;
+function dotCacheKey({ dataset, projectionName, width, height, spacing, packing, packingSeed, minDistance, showLandDots, showOceanDots, coastDistance, borderDistance, region, cropStyle, projectionOptions }) {
+    return `${dataset || "world"}-${projectionName}-${width}-${height}-${spacing}-${packing || "square"}-${packingSeed || 0}-${minDistance || 0}-${showLandDots}-${showOceanDots}-${!!coastDistance}-${!!borderDistance}-${region || "world"}-${cropStyle || "crop"}-${JSON.stringify(projectionOptions || {})}`;
 }
 
 
@@ -84,18 +89,1116 @@ function mulberry32(seed) {
 }
 
 function generateCountryColors(countries) {
+    return applyColorOverrides(generateSchemeColors(countries));
+}
+
+function generateSchemeColors(countries) {
     const scheme = document.getElementById("colorScheme").value;
+    if (scheme === "data") return choroplethColors(countries);
     const baseColor = document.getElementById("baseColor").value;
     const seedInput = document.getElementById("rainbowSeed");
     const seed = seedInput ? (parseInt(seedInput.value) || 0) : 0;
-    return generateColorScheme(countries, scheme, baseColor, seed);
+    const paletteSize = parseInt(document.getElementById("paletteSize").value) || 5;
+    const options = { neighbors: countryNeighbors, paletteSize };
+    if (scheme === "palette") options.palette = activePalette();
+    if (scheme === "monotone") {
+        options.lightnessRange = numberInput("monotoneLightness", 20);
+        options.chromaRange = numberInput("monotoneChroma", 10);
+        options.neighbourTones = document.getElementById("monotoneNeighbours").checked;
+    }
+    if (scheme === "continent" || scheme === "bloc") {
+        options.otherColor = document.getElementById("groupOtherColor").value;
+        if (scheme === "continent") {
+            options.groups = CONTINENTS;
+            options.groupOf = continentOf;
+        } else {
+            // A country in several of the chosen blocs takes the first listed.
+            const blocs = selectedColorBlocs();
+            options.groups = blocs;
+            options.groupOf = f => blocs.find(b => blocMembers(b).has(f.properties.name)) || null;
+        }
+    }
+    return generateColorScheme(countries, scheme, baseColor, seed, options);
+}
+
+function selectedColorBlocs() {
+    const list = document.getElementById("colorBlocs");
+    return list ? [...list.selectedOptions].map(o => o.value) : [];
+}
+
+// Built-in blocs plus saved regions; keeps the current picks.
+function populateColorBlocChoices() {
+    const list = document.getElementById("colorBlocs");
+    if (!list) return;
+    const previous = new Set(list.options.length ? selectedColorBlocs() : DEFAULT_COLOR_BLOCS);
+    list.innerHTML = "";
+    for (const name of [...BLOCS, ...customBlocNames()]) {
+        const op = document.createElement("option");
+        op.value = name;
+        op.textContent = name;
+        op.selected = previous.has(name);
+        list.appendChild(op);
+    }
+}
+
+// Non-overlapping starting set for the "by bloc" scheme.
+const DEFAULT_COLOR_BLOCS = ["European Union", "ASEAN", "Mercosur", "Arab League"];
+
+// ---------- Spatial gradients (per-dot colors) ----------
+// The gradient scheme colors every dot from its own coords rather than its
+// country: by latitude, longitude or great-circle distance from a point.
+
+// Hue-sweeping ramps (only Rainbow and Sinebow are cyclical).
+const MULTI_HUE_INTERPOLATORS = ["Turbo", "Rainbow", "Sinebow", "Warm", "Cool", "CubehelixDefault"];
+
+// Gradients are quantized to this many bands so the canvas and the vector
+// export still batch dots by color (one <path> per band, not per dot).
+const GRADIENT_STEPS = 64;
+
+// Natural value range per axis, used when From / To are left blank.
+const GRADIENT_DEFAULT_RANGE = {
+    latitude: [-90, 90],
+    longitude: [-180, 180],
+    distance: [0, Math.PI * EARTH_RADIUS_KM]
+};
+
+// Fill a select with every ramp the gradient and halftone modes offer.
+function populateGradientInterpolatorChoices(id = "gradientInterpolator") {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const groups = [["Sequential", SEQUENTIAL_INTERPOLATORS], ["Diverging", DIVERGING_INTERPOLATORS], ["Multi-hue", MULTI_HUE_INTERPOLATORS]];
+    for (const [label, names] of groups) {
+        const group = document.createElement("optgroup");
+        group.label = label;
+        for (const name of names) {
+            const op = document.createElement("option");
+            op.value = name;
+            op.textContent = name;
+            group.appendChild(op);
+        }
+        select.appendChild(group);
+    }
+    select.value = "Viridis";
+}
+
+// The gradient settings from the panel, or null when another scheme is active.
+function getDotGradient() {
+    if (document.getElementById("colorScheme").value !== "gradient") return null;
+    const axis = document.getElementById("gradientAxis").value;
+    const [lo, hi] = GRADIENT_DEFAULT_RANGE[axis];
+    return {
+        axis,
+        interpolator: document.getElementById("gradientInterpolator").value,
+        from: numberInput("gradientFrom", lo),
+        to: numberInput("gradientTo", hi),
+        center: [numberInput("gradientLon", 0), numberInput("gradientLat", 0)],
+        reverse: document.getElementById("gradientReverse").checked,
+        ocean: document.getElementById("gradientOcean").checked
+    };
+}
+
+// coords -> color for a gradient config. Values outside [from, to] clamp to
+// the end colors.
+function gradientColorFn({ axis, interpolator, from, to, center, reverse }) {
+    const bands = interpolatorBands(interpolator, reverse);
+    const value = axis === "latitude" ? c => c[1]
+        : axis === "longitude" ? c => c[0]
+        : c => d3.geoDistance(center, c) * EARTH_RADIUS_KM;
+    const span = to - from || 1;
+    return coords => {
+        const t = Math.max(0, Math.min(1, (value(coords) - from) / span));
+        return bands[Math.round(t * (GRADIENT_STEPS - 1))];
+    };
+}
+
+// GRADIENT_STEPS evenly spaced colors of a named d3 interpolator.
+function interpolatorBands(interpolator, reverse = false) {
+    const interpolate = d3[`interpolate${interpolator}`] || d3.interpolateViridis;
+    return d3.range(GRADIENT_STEPS).map(i => {
+        const t = i / (GRADIENT_STEPS - 1);
+        return d3.color(interpolate(reverse ? 1 - t : t)).formatHex();
+    });
+}
+
+function updateGradientControlsVisibility() {
+    const axis = document.getElementById("gradientAxis").value;
+    document.getElementById("gradientPointWrap").style.display = axis === "distance" ? "" : "none";
+    const [lo, hi] = GRADIENT_DEFAULT_RANGE[axis];
+    const unit = axis === "distance" ? " km" : "°";
+    document.getElementById("gradientFrom").placeholder = `${Math.round(lo)}${unit}`;
+    document.getElementById("gradientTo").placeholder = `${Math.round(hi)}${unit}`;
+}
+
+function setupGradientControls() {
+    const axis = document.getElementById("gradientAxis");
+    if (!axis) return;
+    populateGradientInterpolatorChoices();
+    updateGradientControlsVisibility();
+    axis.addEventListener("change", function() {
+        updateGradientControlsVisibility();
+        scheduleUpdate();
+    });
+}
+
+// ---------- Halftone (raster-driven dots) ----------
+// An uploaded equirectangular image (elevation, night lights, population…)
+// scales each dot's size and/or color by the image value at its coords.
+
+let halftoneRaster = null; // { width, height, values: Uint8Array luminance, fileName }
+
+// Larger images are downsampled; dots never resolve finer than this anyway.
+const HALFTONE_MAX_WIDTH = 4096;
+
+// Decode an image file to a luminance grid (transparent pixels read as 0).
+async function loadHalftoneImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, HALFTONE_MAX_WIDTH / bitmap.width);
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    if (bitmap.close) bitmap.close();
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const values = new Uint8Array(width * height);
+    for (let i = 0, j = 0; i < values.length; i++, j += 4) {
+        const luminance = 0.2126 * data[j] + 0.7152 * data[j + 1] + 0.0722 * data[j + 2];
+        values[i] = Math.round(luminance * data[j + 3] / 255);
+    }
+    return { width, height, values, fileName: file.name };
+}
+
+// Bilinear image value in [0, 1] at [lon, lat]. Longitude wraps around the
+// antimeridian; latitude clamps at the poles.
+function sampleHalftone({ width, height, values }, [lon, lat]) {
+    const fx = (lon + 180) / 360 * width - 0.5;
+    const fy = Math.max(0, Math.min(height - 1, (90 - lat) / 180 * height - 0.5));
+    const x0 = Math.floor(fx), y0 = Math.floor(fy);
+    const tx = fx - x0, ty = fy - y0;
+    const xa = ((x0 % width) + width) % width;
+    const xb = (xa + 1) % width;
+    const y1 = Math.min(height - 1, y0 + 1);
+    const top = values[y0 * width + xa] * (1 - tx) + values[y0 * width + xb] * tx;
+    const bottom = values[y1 * width + xa] * (1 - tx) + values[y1 * width + xb] * tx;
+    return (top * (1 - ty) + bottom * ty) / 255;
+}
+
+// The halftone settings from the panel, or null when no image is loaded.
+function getHalftone() {
+    if (!halftoneRaster) return null;
+    return {
+        raster: halftoneRaster,
+        mode: document.getElementById("halftoneMode").value,
+        minScale: Math.max(0, Math.min(1, numberInput("halftoneMin", 10) / 100)),
+        gamma: Math.max(0.1, numberInput("halftoneGamma", 1)),
+        interpolator: document.getElementById("halftoneInterpolator").value,
+        invert: document.getElementById("halftoneInvert").checked,
+        ocean: document.getElementById("halftoneOcean").checked
+    };
+}
+
+// coords -> tone in [0, 1] after inversion and gamma.
+function halftoneValueFn({ raster, invert, gamma }) {
+    return coords => {
+        const t = sampleHalftone(raster, coords);
+        return Math.pow(invert ? 1 - t : t, gamma);
+    };
+}
+
+function updateHalftoneControls() {
+    const summary = document.getElementById("halftoneSummary");
+    document.getElementById("halftoneControls").style.display = halftoneRaster ? "flex" : "none";
+    summary.textContent = halftoneRaster
+        ? `${halftoneRaster.fileName} (${halftoneRaster.width}×${halftoneRaster.height})`
+        : "Load an equirectangular image (−180…180°, 90…−90°) to scale dots by it.";
+    const colored = document.getElementById("halftoneMode").value !== "size";
+    document.getElementById("halftoneInterpolatorWrap").style.display = colored ? "" : "none";
+}
+
+function setupHalftoneControls() {
+    const fileInput = document.getElementById("halftoneFile");
+    if (!fileInput) return;
+    populateGradientInterpolatorChoices("halftoneInterpolator");
+    document.getElementById("halftoneInterpolator").value = "Greys";
+    updateHalftoneControls();
+
+    document.getElementById("chooseHalftoneFile").addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async function() {
+        const file = this.files[0];
+        this.value = "";
+        if (!file) return;
+        try {
+            halftoneRaster = await loadHalftoneImage(file);
+        } catch (error) {
+            console.error("Failed to read halftone image:", error);
+            alert(`Could not read "${file.name}": ${error.message}`);
+            return;
+        }
+        updateHalftoneControls();
+        scheduleUpdate();
+    });
+    document.getElementById("clearHalftone").addEventListener("click", function() {
+        halftoneRaster = null;
+        updateHalftoneControls();
+        scheduleUpdate();
+    });
+    document.getElementById("halftoneMode").addEventListener("change", function() {
+        updateHalftoneControls();
+        scheduleUpdate();
+    });
+}
+
+// ---------- Distance-to-coast styling ----------
+
+// Ocean "glow": dots fade and/or shrink with distance from land. Land taper:
+// dots shrink toward the coast, or toward coasts and international borders.
+// The workers measure each dot's distances in map pixels on their country
+// raster, up to DISTANCE_FIELD_MAX (limits.js).
+
+// Faded dots are batched by opacity, so fades step in 1/FADE_STEPS.
+const FADE_STEPS = 16;
+
+// The distance settings from the panel, or null when both are off.
+function getDistanceStyle() {
+    const glow = document.getElementById("oceanGlow").value;
+    const taper = document.getElementById("landTaper").value;
+    if (glow === "none" && taper === "none") return null;
+    const reach = id => Math.max(1, Math.min(DISTANCE_FIELD_MAX, numberInput(id, 1)));
+    return {
+        glow,
+        glowReach: reach("oceanGlowReach"),
+        taper,
+        taperWidth: reach("landTaperWidth")
+    };
+}
+
+// Ocean dots: 1 on the coast, falling to 0 at the glow's reach.
+function glowStrength(d, { glowReach }) {
+    const coast = d.coast === undefined ? DISTANCE_FIELD_MAX : d.coast;
+    return Math.max(0, 1 - coast / glowReach);
+}
+
+// Land dots: 0 on the coast (or border), growing to 1 at the taper width.
+function taperScale(d, { taper, taperWidth }) {
+    const coast = d.coast === undefined ? DISTANCE_FIELD_MAX : d.coast;
+    const edge = taper === "edges" && d.border !== undefined ? Math.min(coast, d.border) : coast;
+    return Math.min(1, edge / taperWidth);
+}
+
+function updateDistanceControlsVisibility() {
+    document.getElementById("oceanGlowReachWrap").style.display = document.getElementById("oceanGlow").value !== "none" ? "" : "none";
+    document.getElementById("landTaperWidthWrap").style.display = document.getElementById("landTaper").value !== "none" ? "" : "none";
+}
+
+function setupDistanceControls() {
+    if (!document.getElementById("oceanGlow")) return;
+    for (const id of ["oceanGlowReach", "landTaperWidth"]) document.getElementById(id).max = DISTANCE_FIELD_MAX;
+    document.querySelectorAll(".distance-limit").forEach(el => { el.textContent = DISTANCE_FIELD_MAX; });
+    updateDistanceControlsVisibility();
+    ["oceanGlow", "landTaper"].forEach(id => {
+        document.getElementById(id).addEventListener("change", updateDistanceControlsVisibility);
+    });
+}
+
+// ---------- Border gaps ----------
+
+// Land dots within the gap of an international border (never the coast) are
+// removed or shrunk, so neighbouring countries keep their own silhouettes
+// instead of merging into one blob. The gap is in map pixels, or kilometres
+// converted at each dot; either way the workers' border distances only reach
+// DISTANCE_FIELD_MAX px.
+
+// The border gap settings from the panel, or null when the gap is 0.
+function getBorderGap() {
+    const size = numberInput("borderGap", 0);
+    if (!(size > 0)) return null;
+    return {
+        size,
+        unit: document.getElementById("borderGapUnit").value,
+        mode: document.getElementById("borderGapMode").value
+    };
+}
+
+// The gap at `coords` in map pixels. Kilometres go through the projection's
+// local north-south scale, so the gap follows the map's distortion.
+function borderGapPixels({ size, unit }, coords, projection) {
+    if (unit !== "km") return Math.min(size, DISTANCE_FIELD_MAX);
+    const [lon, lat] = coords;
+    const degrees = size / EARTH_RADIUS_KM * 180 / Math.PI;
+    const a = projection(coords);
+    const b = projection([lon, lat + degrees <= 90 ? lat + degrees : lat - degrees]);
+    if (!a || !b) return 0;
+    return Math.min(DISTANCE_FIELD_MAX, Math.hypot(b[0] - a[0], b[1] - a[1]));
+}
+
+// Size factor for a land dot: 1 clear of the gap; inside it, 0 (removed) or
+// shrinking linearly to 0 on the border.
+function borderGapScale(d, gap, projection) {
+    if (d.border === undefined) return 1;
+    const pixels = borderGapPixels(gap, d.coords, projection);
+    if (d.border >= pixels) return 1;
+    return gap.mode === "shrink" ? d.border / pixels : 0;
+}
+
+// ---------- Categorical palettes ----------
+
+let customPalette = loadCustomPalette();
+
+// Colors of the palette picked in the palette scheme: a d3 categorical set
+// or the user's own list (Tableau10 while that list is still empty).
+function activePalette() {
+    const source = document.getElementById("paletteSource").value;
+    if (source === "custom") return customPalette.length ? customPalette : CATEGORICAL_PALETTES.Tableau10;
+    return CVD_SAFE_PALETTES[source] || CATEGORICAL_PALETTES[source] || CATEGORICAL_PALETTES.Tableau10;
+}
+
+function renderPalettePreview() {
+    const preview = document.getElementById("palettePreview");
+    if (!preview) return;
+    preview.innerHTML = "";
+    for (const color of activePalette()) {
+        const swatch = document.createElement("span");
+        swatch.style.background = color;
+        swatch.title = color;
+        preview.appendChild(swatch);
+    }
+}
+
+function setCustomPalette(colors) {
+    customPalette = colors;
+    saveCustomPalette(colors);
+    document.getElementById("paletteHex").value = colors.join(" ");
+    renderPalettePreview();
+    scheduleUpdate();
+}
+
+function updatePaletteEditorVisibility() {
+    const custom = document.getElementById("paletteSource").value === "custom";
+    document.getElementById("paletteEditor").style.display = custom ? "flex" : "none";
+}
+
+function setupPaletteControls() {
+    const source = document.getElementById("paletteSource");
+    if (!source) return;
+    const groups = [["Colorblind-safe", CVD_SAFE_PALETTES], ["Categorical", CATEGORICAL_PALETTES]];
+    for (const [label, palettes] of groups) {
+        const group = document.createElement("optgroup");
+        group.label = label;
+        for (const name of Object.keys(palettes)) {
+            const op = document.createElement("option");
+            op.value = name;
+            op.textContent = name;
+            group.appendChild(op);
+        }
+        source.appendChild(group);
+    }
+    if (customPalette.length) source.value = "custom";
+
+    const hexInput = document.getElementById("paletteHex");
+    hexInput.value = customPalette.join(" ");
+    updatePaletteEditorVisibility();
+    renderPalettePreview();
+
+    source.addEventListener("change", function() {
+        updatePaletteEditorVisibility();
+        renderPalettePreview();
+        scheduleUpdate();
+    });
+    hexInput.addEventListener("change", function() {
+        setCustomPalette(parseHexList(this.value));
+    });
+
+    const fileInput = document.getElementById("importPaletteFile");
+    document.getElementById("importPalette").addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async function() {
+        const file = this.files[0];
+        this.value = "";
+        if (!file) return;
+        try {
+            const colors = await readPaletteFile(file);
+            source.value = "custom";
+            updatePaletteEditorVisibility();
+            setCustomPalette(colors);
+        } catch (error) {
+            console.error("Failed to import palette:", error);
+            alert(`Could not import "${file.name}": ${error.message}`);
+        }
+    });
+}
+
+// ---------- Color vision deficiency (CVD) checks ----------
+// Machado et al. (2009) full-severity simulation matrices, applied in linear
+// RGB. The same matrices drive the live preview (an SVG feColorMatrix filter,
+// which works in linearRGB by default) and the neighbour contrast check.
+
+const CVD_MATRICES = {
+    protanopia: [
+        0.152286, 1.052583, -0.204868,
+        0.114503, 0.786281, 0.099216,
+        -0.003882, -0.048116, 1.051998
+    ],
+    deuteranopia: [
+        0.367322, 0.860646, -0.227968,
+        0.280085, 0.672501, 0.047413,
+        -0.011820, 0.042940, 0.968881
+    ],
+    tritanopia: [
+        1.255528, -0.076749, -0.178779,
+        -0.078411, 0.930809, 0.147602,
+        0.004733, 0.691367, 0.303900
+    ],
+    achromatopsia: [
+        0.2126, 0.7152, 0.0722,
+        0.2126, 0.7152, 0.0722,
+        0.2126, 0.7152, 0.0722
+    ]
+};
+
+// The check covers normal vision and the three dichromacies; achromatopsia is
+// preview-only (almost any categorical map fails it).
+const CVD_CHECKED_VISIONS = ["normal", "protanopia", "deuteranopia", "tritanopia"];
+
+function srgbToLinear(v) {
+    v /= 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(v) {
+    v = Math.max(0, Math.min(1, v));
+    return 255 * (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+}
+
+// How `color` looks with the given deficiency ("normal" returns it as is).
+function simulateCvd(color, vision) {
+    const rgb = d3.rgb(color);
+    const m = CVD_MATRICES[vision];
+    if (!m) return rgb;
+    const r = srgbToLinear(rgb.r), g = srgbToLinear(rgb.g), b = srgbToLinear(rgb.b);
+    return d3.rgb(
+        linearToSrgb(m[0] * r + m[1] * g + m[2] * b),
+        linearToSrgb(m[3] * r + m[4] * g + m[5] * b),
+        linearToSrgb(m[6] * r + m[7] * g + m[8] * b)
+    );
+}
+
+// CIE76 ΔE: Euclidean distance in CIELAB (~2.3 is a just-noticeable difference).
+function deltaE(a, b) {
+    const la = d3.lab(a), lb = d3.lab(b);
+    return Math.hypot(la.l - lb.l, la.a - lb.a, la.b - lb.b);
+}
+
+// Neighbouring pairs (within `indices` when cropping) whose colors are closer
+// than `minDistance` for the vision type with the most such pairs. Returns
+// { vision, pairs: [{ a, b, distance }] } sorted closest first, or null.
+function neighbourContrastIssues(features, colors, neighbors, minDistance, indices) {
+    const included = indices ? new Set(indices) : null;
+    const edges = [];
+    neighbors.forEach((list, i) => {
+        for (const j of list) {
+            if (j <= i || (included && (!included.has(i) || !included.has(j)))) continue;
+            const a = features[i].properties.name, b = features[j].properties.name;
+            const ca = colors.get(a), cb = colors.get(b);
+            if (ca && cb && a !== b) edges.push({ a, b, ca, cb });
+        }
+    });
+
+    let worst = null;
+    for (const vision of CVD_CHECKED_VISIONS) {
+        const simulated = new Map();
+        const look = c => {
+            if (!simulated.has(c)) simulated.set(c, simulateCvd(c, vision));
+            return simulated.get(c);
+        };
+        const pairs = [];
+        for (const { a, b, ca, cb } of edges) {
+            const distance = deltaE(look(ca), look(cb));
+            if (distance < minDistance) pairs.push({ a, b, distance });
+        }
+        if (pairs.length && (!worst || pairs.length > worst.pairs.length)) worst = { vision, pairs };
+    }
+    if (worst) worst.pairs.sort((p, q) => p.distance - q.distance);
+    return worst;
+}
+
+function updateCvdWarning(selection) {
+    const el = document.getElementById("cvdWarning");
+    if (!el) return;
+    const minDistance = numberInput("cvdMinDistance", 10);
+    const issues = minDistance > 0
+        ? neighbourContrastIssues(world.features, countryColors, countryNeighbors, minDistance, selection ? selection.indices : null)
+        : null;
+    if (!issues) {
+        el.style.display = "none";
+        return;
+    }
+    const examples = issues.pairs.slice(0, 3).map(p => `${p.a} / ${p.b}`).join(", ");
+    const who = issues.vision === "normal" ? "" : ` with ${issues.vision}`;
+    const count = issues.pairs.length;
+    el.textContent = `${count} neighbouring pair${count === 1 ? "" : "s"} below ΔE ${minDistance}${who}: ${examples}${count > 3 ? ", …" : ""}`;
+    el.style.display = "";
+}
+
+// One hidden <svg> holding a filter per deficiency; the preview points the
+// map wrapper's CSS filter at it, so exports are never affected.
+function ensureCvdFilters() {
+    if (document.getElementById("cvd-filters")) return;
+    const svg = d3.select("body").append("svg")
+        .attr("id", "cvd-filters")
+        .attr("width", 0)
+        .attr("height", 0)
+        .attr("aria-hidden", "true")
+        .style("position", "absolute");
+    const defs = svg.append("defs");
+    Object.entries(CVD_MATRICES).forEach(([vision, m]) => {
+        const values = [0, 3, 6].map(r => `${m[r]} ${m[r + 1]} ${m[r + 2]} 0 0`).join(" ") + " 0 0 0 1 0";
+        defs.append("filter")
+            .attr("id", `cvd-${vision}`)
+            .append("feColorMatrix")
+            .attr("type", "matrix")
+            .attr("values", values);
+    });
+}
+
+function applyCvdPreview() {
+    const vision = document.getElementById("cvdPreview").value;
+    const wrapper = document.querySelector(".map-wrapper");
+    if (vision !== "none") ensureCvdFilters();
+    if (wrapper) wrapper.style.filter = vision === "none" ? "" : `url(#cvd-${vision})`;
+}
+
+function setupCvdControls() {
+    const preview = document.getElementById("cvdPreview");
+    if (!preview) return;
+    preview.addEventListener("change", applyCvdPreview);
+    applyCvdPreview();
+}
+
+// ---------- Per-country color overrides ----------
+// Fixed colors for individual countries that sit on top of whatever scheme is
+// active ("our market in brand orange"). Persisted in localStorage.
+
+const COLOR_OVERRIDES_KEY = "dotsmap.colorOverrides";
+
+function loadColorOverrides() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(COLOR_OVERRIDES_KEY));
+        return new Map(stored && typeof stored === "object" ? Object.entries(stored) : []);
+    } catch (e) {
+        return new Map();
+    }
+}
+
+let colorOverrides = loadColorOverrides();
+
+function persistColorOverrides() {
+    try {
+        localStorage.setItem(COLOR_OVERRIDES_KEY, JSON.stringify(Object.fromEntries(colorOverrides)));
+    } catch (e) {
+        console.warn("Could not save color overrides:", e);
+    }
+}
+
+function applyColorOverrides(colors) {
+    colorOverrides.forEach((color, name) => {
+        if (colors.has(name)) colors.set(name, color);
+    });
+    return colors;
+}
+
+function setColorOverride(name, color) {
+    colorOverrides.set(name, color);
+    persistColorOverrides();
+    renderColorOverrideList();
+    scheduleUpdate();
+}
+
+function removeColorOverride(name) {
+    colorOverrides.delete(name);
+    persistColorOverrides();
+    renderColorOverrideList();
+    scheduleUpdate();
+}
+
+// One row per override: swatch (click to edit), name, remove button.
+function renderColorOverrideList() {
+    const list = document.getElementById("colorOverrideList");
+    if (!list) return;
+    list.innerHTML = "";
+    const names = [...colorOverrides.keys()].sort((a, b) => a.localeCompare(b));
+    for (const name of names) {
+        const item = document.createElement("li");
+
+        const swatch = document.createElement("input");
+        swatch.type = "color";
+        swatch.value = colorOverrides.get(name);
+        swatch.title = `Change color of ${name}`;
+        swatch.addEventListener("change", () => setColorOverride(name, swatch.value));
+
+        const label = document.createElement("span");
+        label.textContent = name;
+
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "icon-btn";
+        remove.title = `Remove override for ${name}`;
+        remove.setAttribute("aria-label", remove.title);
+        remove.textContent = "×";
+        remove.addEventListener("click", () => removeColorOverride(name));
+
+        item.append(swatch, label, remove);
+        list.appendChild(item);
+    }
+    const clear = document.getElementById("clearColorOverrides");
+    if (clear) clear.style.display = names.length ? "" : "none";
+}
+
+function populateOverrideCountryChoices() {
+    const select = document.getElementById("overrideCountry");
+    if (!select) return;
+    const previous = select.value;
+    select.innerHTML = "";
+    for (const name of new Set(countryNames())) {
+        const op = document.createElement("option");
+        op.value = name;
+        op.textContent = name;
+        select.appendChild(op);
+    }
+    if (previous) select.value = previous;
+}
+
+// The country of the dot nearest a point (render coordinates), using the
+// hover quadtree when dots are drawn and the country shapes otherwise (or when
+// the nearest dot is an ocean dot, as it often is just off a coast).
+function countryNameAtPoint(x, y) {
+    if (lastDotQuadtree) {
+        const found = lastDotQuadtree.find(x, y, lastDotSearchRadius);
+        if (found && found.countryName) return found.countryName;
+    }
+    const country = countryAtPoint(x, y);
+    return country ? country.properties.name : null;
+}
+
+function setupColorOverrides() {
+    const select = document.getElementById("overrideCountry");
+    if (!select) return;
+    populateOverrideCountryChoices();
+    renderColorOverrideList();
+
+    document.getElementById("addColorOverride").addEventListener("click", function() {
+        if (select.value) setColorOverride(select.value, document.getElementById("overrideColor").value);
+    });
+    document.getElementById("clearColorOverrides").addEventListener("click", function() {
+        colorOverrides.clear();
+        persistColorOverrides();
+        renderColorOverrideList();
+        scheduleUpdate();
+    });
+
+    // With "Click to recolor" on, clicking a country paints it in the picked
+    // color (clicking it again with the same color removes the override).
+    // Picking countries for a custom region and recoloring them share the map
+    // click, so turning one on turns the other off.
+    const pick = document.getElementById("overridePick");
+    const regionPick = document.getElementById("customRegionPick");
+    if (pick && regionPick) {
+        pick.addEventListener("change", () => { if (pick.checked) regionPick.checked = false; });
+        regionPick.addEventListener("change", () => { if (regionPick.checked) pick.checked = false; });
+    }
+    d3.select("#map").on("click.colorOverride", function(event) {
+        if (!pick || !pick.checked) return;
+        if (regionPick && regionPick.checked && document.getElementById("regionType").value === "custom") return;
+        const [x, y] = d3.pointer(event, this);
+        const name = countryNameAtPoint(x, y);
+        if (!name) return;
+        const color = document.getElementById("overrideColor").value;
+        select.value = name;
+        if (colorOverrides.get(name) === color) removeColorOverride(name);
+        else setColorOverride(name, color);
+    });
+}
+
+// ---------- Choropleth (data-driven colors) ----------
+
+// Loaded CSV/JSON table: { fileName, columns, rows }. Rows are plain objects.
+let choroplethData = null;
+// Scale + domain of the last choropleth coloring, kept for the legend.
+let lastChoropleth = null;
+
+const SEQUENTIAL_INTERPOLATORS = ["Blues", "Greens", "Reds", "Purples", "Oranges", "Greys",
+    "Viridis", "Magma", "Inferno", "Plasma", "Cividis", "YlOrRd", "YlGnBu", "BuPu"];
+const DIVERGING_INTERPOLATORS = ["RdBu", "RdYlBu", "RdYlGn", "BrBG", "PiYG", "PRGn", "PuOr", "Spectral"];
+
+// Parse a CSV/TSV table, a JSON array of objects, or a JSON { key: value } map.
+function parseChoroplethTable(text, fileName) {
+    const trimmed = text.trim();
+    if (/\.json$/i.test(fileName) || trimmed.startsWith("[") || trimmed.startsWith("{")) {
+        const json = JSON.parse(trimmed);
+        if (Array.isArray(json)) {
+            const rows = json.filter(r => r && typeof r === "object");
+            const columns = [...new Set(rows.flatMap(r => Object.keys(r)))];
+            return { fileName, columns, rows };
+        }
+        if (json && typeof json === "object") {
+            const rows = Object.entries(json).map(([key, value]) => ({ key, value }));
+            return { fileName, columns: ["key", "value"], rows };
+        }
+        throw new Error("Expected an array of rows or a { key: value } object");
+    }
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    const rows = firstLine.includes("\t") ? d3.tsvParse(trimmed) : d3.csvParse(trimmed);
+    return { fileName, columns: rows.columns, rows };
+}
+
+// Lower-cased join keys for a feature: its name, its numeric id (with and
+// without leading zeros) and its ISO alpha-2 / alpha-3 codes.
+function featureJoinKeys(feature) {
+    const keys = [String(feature.properties.name).toLowerCase()];
+    if (feature.id !== undefined) {
+        keys.push(String(feature.id).toLowerCase(), String(+feature.id));
+    }
+    const iso = typeof isoCodesOf === "function" ? isoCodesOf(feature) : null;
+    if (iso) keys.push(iso[0].toLowerCase(), iso[1].toLowerCase());
+    return keys;
+}
+
+function buildJoinIndex(countries) {
+    const index = new Map();
+    for (const f of countries) {
+        for (const k of featureJoinKeys(f)) {
+            if (!index.has(k)) index.set(k, f.properties.name);
+        }
+    }
+    return index;
+}
+
+// Country name -> numeric value for the chosen key / value columns.
+function choroplethValues(countries, keyColumn, valueColumn) {
+    const values = new Map();
+    if (!choroplethData) return values;
+    const index = buildJoinIndex(countries);
+    for (const row of choroplethData.rows) {
+        const name = index.get(String(row[keyColumn]).trim().toLowerCase());
+        const value = parseFloat(row[valueColumn]);
+        if (name && isFinite(value)) values.set(name, value);
+    }
+    return values;
+}
+
+// Pick the column whose values join to the most features, and the first
+// other column that is mostly numeric.
+function guessChoroplethColumns(countries) {
+    const index = buildJoinIndex(countries);
+    const { columns, rows } = choroplethData;
+    const joinCount = col => rows.filter(r => index.has(String(r[col]).trim().toLowerCase())).length;
+    const numericShare = col => rows.filter(r => isFinite(parseFloat(r[col]))).length / Math.max(rows.length, 1);
+    const keyColumn = columns.reduce((best, c) => joinCount(c) > joinCount(best) ? c : best, columns[0]);
+    const valueColumn = columns.find(c => c !== keyColumn && numericShare(c) > 0.5) ||
+        columns.find(c => c !== keyColumn) || keyColumn;
+    return { keyColumn, valueColumn };
+}
+
+function choroplethScale(values, type, interpolatorName, classes, midpoint) {
+    const extent = d3.extent(values);
+    if (extent[0] === undefined) return null;
+    if (extent[0] === extent[1]) extent[1] = extent[0] + 1; // flat data still gets a color
+    const interpolator = d3[`interpolate${interpolatorName}`] || d3.interpolateBlues;
+
+    if (type === "diverging") {
+        // An explicit midpoint is clamped to the data: outside it the domain
+        // stops being monotonic and the legend axis folds back on itself.
+        const mid = midpoint !== null ? Math.max(extent[0], Math.min(extent[1], midpoint))
+            : (extent[0] < 0 && extent[1] > 0 ? 0 : d3.median(values));
+        return { type, domain: [extent[0], mid, extent[1]], scale: d3.scaleDiverging(interpolator).domain([extent[0], mid, extent[1]]) };
+    }
+    if (type === "quantize") {
+        const n = Math.max(2, Math.min(12, classes || 5));
+        return { type, domain: extent, scale: d3.scaleQuantize().domain(extent).range(d3.quantize(interpolator, n)) };
+    }
+    return { type: "sequential", domain: extent, scale: d3.scaleSequential(interpolator).domain(extent) };
+}
+
+function choroplethColors(countries) {
+    const colors = new Map();
+    const missingColor = document.getElementById("dataMissingColor").value;
+    const keyColumn = document.getElementById("dataKeyColumn").value;
+    const valueColumn = document.getElementById("dataValueColumn").value;
+    const values = choroplethValues(countries, keyColumn, valueColumn);
+
+    const midpointValue = parseFloat(document.getElementById("dataMidpoint").value);
+    const config = choroplethScale(
+        [...values.values()],
+        document.getElementById("dataScaleType").value,
+        document.getElementById("dataInterpolator").value,
+        parseInt(document.getElementById("dataClasses").value),
+        isNaN(midpointValue) ? null : midpointValue
+    );
+
+    let missing = 0;
+    countries.forEach(country => {
+        const name = country.properties.name;
+        if (config && values.has(name)) {
+            colors.set(name, config.scale(values.get(name)));
+        } else {
+            colors.set(name, missingColor);
+            missing++;
+        }
+    });
+
+    lastChoropleth = config ? { ...config, title: valueColumn, missingColor, hasMissing: missing > 0 } : null;
+    return colors;
 }
 
-function generateColorScheme(countries, schemeName, baseColor, seed = 0) {
+// Legend in the lower-left corner of the SVG: a gradient bar (sequential /
+// diverging) or class swatches (quantize), plus a "No data" swatch. Sized
+// relative to the render so it reads the same at any export resolution.
+function drawLegend(svg, width, height) {
+    if (!lastChoropleth) return;
+    const { type, domain, scale, title, missingColor, hasMissing } = lastChoropleth;
+
+    const unit = Math.min(width, height) / 60;
+    const barWidth = Math.min(width * 0.3, unit * 18);
+    const barHeight = unit * 0.9;
+    const fontSize = unit * 0.8;
+    const pad = unit;
+    const x0 = unit * 1.5;
+    const boxHeight = pad * 2 + fontSize * 1.4 + barHeight + fontSize * 1.6 + (hasMissing ? barHeight + unit : 0);
+    const y0 = height - unit * 1.5 - boxHeight;
+
+    const legend = svg.append("g")
+        .attr("class", "legend")
+        .attr("transform", `translate(${x0},${y0})`)
+        .attr("font-family", "sans-serif")
+        .attr("font-size", fontSize)
+        .attr("fill", "#222");
+
+    legend.append("rect")
+        .attr("width", barWidth + pad * 2)
+        .attr("height", boxHeight)
+        .attr("rx", unit * 0.3)
+        .attr("fill", "#fff")
+        .attr("fill-opacity", 0.85);
+
+    legend.append("text")
+        .attr("x", pad)
+        .attr("y", pad + fontSize)
+        .attr("font-weight", "bold")
+        .text(title);
+
+    const barY = pad + fontSize * 1.4;
+    const bar = legend.append("g").attr("transform", `translate(${pad},${barY})`);
+    const x = type === "diverging"
+        ? d3.scaleLinear().domain(domain).range([0, barWidth / 2, barWidth])
+        : d3.scaleLinear().domain(domain).range([0, barWidth]);
+
+    if (type === "quantize") {
+        const range = scale.range();
+        const step = barWidth / range.length;
+        range.forEach((color, i) => {
+            bar.append("rect")
+                .attr("x", i * step).attr("width", step).attr("height", barHeight)
+                .attr("fill", color);
+        });
+        const thresholds = [domain[0], ...scale.thresholds(), domain[1]];
+        const format = d3.format("~s");
+        thresholds.forEach((t, i) => {
+            bar.append("text")
+                .attr("x", i * step).attr("y", barHeight + fontSize * 1.2)
+                .attr("text-anchor", i === 0 ? "start" : i === thresholds.length - 1 ? "end" : "middle")
+                .text(format(t));
+        });
+    } else {
+        const gradientId = "legend-gradient";
+        const gradient = svg.select("defs").append("linearGradient").attr("id", gradientId);
+        for (let i = 0; i <= 10; i++) {
+            gradient.append("stop")
+                .attr("offset", `${i * 10}%`)
+                .attr("stop-color", scale(x.invert(barWidth * i / 10)));
+        }
+        bar.append("rect")
+            .attr("width", barWidth).attr("height", barHeight)
+            .attr("fill", `url(#${gradientId})`);
+        const ticks = x.ticks(4);
+        const format = x.tickFormat(4, "~s");
+        ticks.forEach(t => {
+            bar.append("text")
+                .attr("x", x(t)).attr("y", barHeight + fontSize * 1.2)
+                .attr("text-anchor", "middle")
+                .text(format(t));
+        });
+    }
+
+    if (hasMissing) {
+        const y = barY + barHeight + fontSize * 1.6 + unit * 0.4;
+        legend.append("rect")
+            .attr("x", pad).attr("y", y)
+            .attr("width", barHeight * 1.6).attr("height", barHeight)
+            .attr("fill", missingColor);
+        legend.append("text")
+            .attr("x", pad + barHeight * 2.2).attr("y", y + barHeight * 0.85)
+            .text("No data");
+    }
+}
+
+// Refill the color-ramp choices to match the scale type.
+function populateInterpolatorChoices() {
+    const select = document.getElementById("dataInterpolator");
+    const diverging = document.getElementById("dataScaleType").value === "diverging";
+    const names = diverging ? DIVERGING_INTERPOLATORS : SEQUENTIAL_INTERPOLATORS;
+    const previous = select.value;
+    select.innerHTML = "";
+    for (const name of names) {
+        const op = document.createElement("option");
+        op.value = name;
+        op.textContent = name;
+        select.appendChild(op);
+    }
+    select.value = names.includes(previous) ? previous : names[0];
+    const classesWrap = document.getElementById("dataClassesWrap");
+    const midpointWrap = document.getElementById("dataMidpointWrap");
+    const type = document.getElementById("dataScaleType").value;
+    if (classesWrap) classesWrap.style.display = type === "quantize" ? "flex" : "none";
+    if (midpointWrap) midpointWrap.style.display = diverging ? "flex" : "none";
+}
+
+function fillColumnSelect(select, columns, value) {
+    select.innerHTML = "";
+    for (const c of columns) {
+        const op = document.createElement("option");
+        op.value = c;
+        op.textContent = c;
+        select.appendChild(op);
+    }
+    select.value = value;
+}
+
+async function loadChoroplethFile(file) {
+    try {
+        choroplethData = parseChoroplethTable(await file.text(), file.name);
+    } catch (error) {
+        console.error("Failed to read data file:", error);
+        alert(`Could not read "${file.name}": ${error.message}`);
+        return;
+    }
+    const { keyColumn, valueColumn } = guessChoroplethColumns(world.features);
+    fillColumnSelect(document.getElementById("dataKeyColumn"), choroplethData.columns, keyColumn);
+    fillColumnSelect(document.getElementById("dataValueColumn"), choroplethData.columns, valueColumn);
+    updateChoroplethSummary();
+    scheduleUpdate();
+}
+
+// "142 of 177 countries matched" under the file picker.
+function updateChoroplethSummary() {
+    const el = document.getElementById("dataSummary");
+    if (!el) return;
+    if (!choroplethData) {
+        el.textContent = "Load a CSV or JSON of country → value (name or ISO code).";
+        return;
+    }
+    const values = choroplethValues(world.features,
+        document.getElementById("dataKeyColumn").value,
+        document.getElementById("dataValueColumn").value);
+    el.textContent = `${choroplethData.fileName}: ${values.size} of ${new Set(countryNames()).size} matched.`;
+}
+
+function setupChoroplethControls() {
+    const fileInput = document.getElementById("dataFile");
+    if (!fileInput) return;
+    populateInterpolatorChoices();
+    updateChoroplethSummary();
+
+    document.getElementById("chooseDataFile").addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", function() {
+        const file = this.files[0];
+        this.value = "";
+        if (file) loadChoroplethFile(file);
+    });
+    document.getElementById("dataScaleType").addEventListener("change", function() {
+        populateInterpolatorChoices();
+        scheduleUpdate();
+    });
+    ["dataKeyColumn", "dataValueColumn"].forEach(id => {
+        document.getElementById(id).addEventListener("change", function() {
+            updateChoroplethSummary();
+            scheduleUpdate();
+        });
+    });
+    ["dataInterpolator", "dataClasses", "dataMidpoint", "dataMissingColor", "showLegend"].forEach(id => {
+        document.getElementById(id).addEventListener("change", scheduleUpdate);
+    });
+}
+
+// `options.neighbors` is the adjacency list by index into `countries` (the
+// graph-coloring schemes need it); `options.paletteSize` their color count.
+// The grouped schemes take `options.groups` (ordered group names),
+// `options.groupOf(feature)` and `options.otherColor` for ungrouped countries.
+function generateColorScheme(countries, schemeName, baseColor, seed = 0, options = {}) {
     const colors = new Map();
     const rand = mulberry32(seed);
 
     switch (schemeName) {
+        case 'continent':
+        case 'bloc': {
+            // One categorical color per group (order shuffled by the seed),
+            // then a small seeded lightness / saturation jitter per country so
+            // members stay recognisably one group but borders still read.
+            const groups = options.groups || [];
+            const palette = d3.schemeTableau10.slice();
+            for (let i = palette.length - 1; i > 0; i--) {
+                const j = Math.floor(rand() * (i + 1));
+                [palette[i], palette[j]] = [palette[j], palette[i]];
+            }
+            const groupColor = new Map(groups.map((g, i) => [g, palette[i % palette.length]]));
+            countries.forEach(country => {
+                const group = options.groupOf ? options.groupOf(country) : null;
+                const base = groupColor.get(group);
+                if (!base) {
+                    colors.set(country.properties.name, options.otherColor || "#bbbbbb");
+                    return;
+                }
+                const c = d3.hsl(base);
+                c.l = Math.max(0.15, Math.min(0.85, c.l + (rand() - 0.5) * 0.16));
+                c.s = Math.max(0, Math.min(1, c.s + (rand() - 0.5) * 0.1));
+                colors.set(country.properties.name, c.formatHex());
+            });
+            break;
+        }
+
+        case 'palette': {
+            // The palette repeated across all countries, then the same seeded
+            // Fisher-Yates shuffle as the rainbow scheme. Colors are used
+            // exactly as given so brand palettes stay on-brand.
+            const palette = options.palette && options.palette.length ? options.palette : d3.schemeTableau10;
+            const paletteColors = countries.map((_, i) => palette[i % palette.length]);
+            for (let i = paletteColors.length - 1; i > 0; i--) {
+                const j = Math.floor(rand() * (i + 1));
+                [paletteColors[i], paletteColors[j]] = [paletteColors[j], paletteColors[i]];
+            }
+            countries.forEach((country, i) => {
+                colors.set(country.properties.name, paletteColors[i]);
+            });
+            break;
+        }
+
+        case 'political': {
+            // N evenly spaced hues from a seeded starting point, assigned so
+            // that no two neighbours share one.
+            const k = Math.max(3, Math.min(8, options.paletteSize || 5));
+            const offset = rand();
+            const palette = d3.range(k).map(i => {
+                const c = d3.hsl(d3.interpolateSinebow((offset + i / k) % 1));
+                c.s *= 0.75; // soften the pure sinebow hues a little
+                return c.formatHex();
+            });
+            const assignment = colorGraph(options.neighbors || [], countries.length, k, rand);
+            countries.forEach((country, i) => {
+                colors.set(country.properties.name, palette[assignment[i]]);
+            });
+            break;
+        }
+
         case 'rainbow':
             // Generate all colors first
             const rainbowColors = [];
@@ -128,56 +1231,214 @@ function generateColorScheme(countries, schemeName, baseColor, seed = 0) {
             });
             break;
             
-        case 'monotone':
-            const hex = baseColor.replace('#', '');
-            const r = parseInt(hex.substring(0, 2), 16);
-            const g = parseInt(hex.substring(2, 4), 16);
-            const b = parseInt(hex.substring(4, 6), 16);
-            
-            countries.forEach((country) => {
-                colors.set(country.properties.name, 
-                    `rgb(${Math.floor(r)},${Math.floor(g)},${Math.floor(b)})`
-                );
-            });
+        case 'monotone': {
+            // Tints and shades of the base hue: lightness and chroma vary by up
+            // to ±lightnessRange / ±chromaRange (HCL units). With neighbourTones
+            // the range is split into paletteSize tones assigned by graph
+            // coloring so adjacent countries always differ; otherwise each
+            // country gets its own seeded offset.
+            const base = d3.hcl(baseColor);
+            const hue = isNaN(base.h) ? 0 : base.h;
+            const baseChroma = isNaN(base.c) ? 0 : base.c;
+            const lightRange = Math.max(0, options.lightnessRange ?? 20);
+            const chromaRange = Math.max(0, options.chromaRange ?? 10);
+            const tone = (dl, dc) => d3.hcl(
+                hue,
+                Math.max(0, baseChroma + dc * chromaRange),
+                Math.max(5, Math.min(95, base.l + dl * lightRange))
+            ).formatHex();
+
+            if (options.neighbourTones) {
+                const k = Math.max(3, Math.min(8, options.paletteSize || 5));
+                const tones = d3.range(k).map(i => tone(-1 + 2 * i / (k - 1), rand() * 2 - 1));
+                for (let i = tones.length - 1; i > 0; i--) {
+                    const j = Math.floor(rand() * (i + 1));
+                    [tones[i], tones[j]] = [tones[j], tones[i]];
+                }
+                const assignment = colorGraph(options.neighbors || [], countries.length, k, rand);
+                countries.forEach((country, i) => {
+                    colors.set(country.properties.name, tones[assignment[i]]);
+                });
+            } else {
+                countries.forEach(country => {
+                    colors.set(country.properties.name, tone(rand() * 2 - 1, rand() * 2 - 1));
+                });
+            }
             break;
+        }
     }
     
     return colors;
 }
 
-function getProjectionOutline() {
-    return { type: "Sphere" };
-}
-
-function setupProjection(projectionName, width, height, fitGeometry) {
-    // Fall back gracefully if a projection name isn't available in this build of
-    // d3 / d3-geo-projection, rather than throwing.
-    const factory = typeof d3[projectionName] === "function" ? d3[projectionName] : d3.geoEquirectangular;
-    if (factory === d3.geoEquirectangular && projectionName !== "geoEquirectangular") {
-        console.warn(`Projection "${projectionName}" unavailable; using Equirectangular.`);
+// Color the adjacency graph with k colors so neighbours differ. DSatur: keep
+// coloring the uncolored node whose neighbours already use the most distinct
+// colors (ties: higher degree, then a seeded random order), giving it the
+// color least used around it. A few repair sweeps then recolor any node still
+// clashing. Four colors suffice for every world-atlas resolution in practice.
+function colorGraph(neighbors, n, k, rand) {
+    // topojson.neighbors can list a feature as its own neighbour (enclaves).
+    const adj = d3.range(n).map(i => (neighbors[i] || []).filter(j => j !== i && j < n));
+    const assignment = new Array(n).fill(-1);
+    const tiebreak = d3.range(n).map(() => rand());
+
+    for (let step = 0; step < n; step++) {
+        let best = -1, bestSat = -1, bestDeg = -1;
+        for (let i = 0; i < n; i++) {
+            if (assignment[i] !== -1) continue;
+            const sat = new Set(adj[i].map(j => assignment[j]).filter(c => c >= 0)).size;
+            const deg = adj[i].length;
+            if (sat > bestSat || (sat === bestSat && (deg > bestDeg || (deg === bestDeg && tiebreak[i] > tiebreak[best])))) {
+                best = i; bestSat = sat; bestDeg = deg;
+            }
+        }
+        assignment[best] = leastConflictColor(adj[best], assignment, k);
     }
-    currentProjection = factory();
 
-    // Configure projection parameters BEFORE fitSize so the fit (scale +
-    // translate) is computed for the final center/parallels/clip. This must
-    // stay in sync with setupProjection in fast-worker.js so the dots line up
-    // exactly with the borders.
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let conflicts = 0;
+        for (let i = 0; i < n; i++) {
+            if (!adj[i].some(j => assignment[j] === assignment[i])) continue;
+            conflicts++;
+            assignment[i] = leastConflictColor(adj[i], assignment, k, rand);
+        }
+        if (!conflicts) break;
+    }
+    return assignment;
+}
+
+// The color used by the fewest of these neighbours (lowest index on a tie, or
+// a seeded pick when `rand` is given so repairs don't cycle).
+function leastConflictColor(neighbours, assignment, k, rand) {
+    const counts = new Array(k).fill(0);
+    for (const j of neighbours) if (assignment[j] >= 0) counts[assignment[j]]++;
+    const min = Math.min(...counts);
+    const options = d3.range(k).filter(c => counts[c] === min);
+    return rand ? options[Math.floor(rand() * options.length)] : options[0];
+}
+
+function getProjectionOutline() {
+    return { type: "Sphere" };
+}
+
+// Current [λ, φ, γ] rotation from the Projection controls, in degrees.
+function getRotation() {
+    const value = id => parseFloat(document.getElementById(id).value) || 0;
+    return [value("rotateLambda"), value("rotatePhi"), value("rotateGamma")];
+}
+
+// ---------- Projection parameters ----------
+
+// Which parameter fields apply to a projection. Conics get standard parallels
+// (Bonne has a single one), azimuthals a clip angle; everything gets center,
+// precision and reflection.
+const CONIC_PROJECTIONS = ["geoAlbers", "geoConicEqualArea", "geoConicEquidistant", "geoBonne"];
+const AZIMUTHAL_PROJECTIONS = ["geoOrthographic", "geoStereographic", "geoGnomonic", "geoAzimuthalEqualArea", "geoAzimuthalEquidistant"];
+
+function projectionFamily(projectionName) {
+    if (CONIC_PROJECTIONS.includes(projectionName)) return "conic";
+    if (AZIMUTHAL_PROJECTIONS.includes(projectionName)) return "azimuthal";
+    return "other";
+}
+
+// Per-projection starting values for the parameter panel. These reproduce the
+// settings that used to be hard-coded in setupProjection. A clip angle of 180
+// means "no small-circle clip".
+function defaultProjectionParams(projectionName) {
+    const params = { parallels: null, center: [0, 0], clipAngle: null };
     switch (projectionName) {
         case 'geoOrthographic':
         case 'geoStereographic':
-            currentProjection.clipAngle(90);
+            params.clipAngle = 90;
             break;
         case 'geoGnomonic':
-            currentProjection.clipAngle(60);
+            params.clipAngle = 60;
+            break;
+        case 'geoAzimuthalEqualArea':
+        case 'geoAzimuthalEquidistant':
+            params.clipAngle = 180;
             break;
         case 'geoAlbers':
         case 'geoConicEqualArea':
         case 'geoConicEquidistant':
-            currentProjection
-                .parallels([20, 50])
-                .center([0, 40]);
+            params.parallels = [20, 50];
+            params.center = [0, 40];
+            break;
+        case 'geoBonne':
+            params.parallels = [45];
             break;
     }
+    return params;
+}
+
+// Reset the panel to the newly selected projection's defaults.
+function applyProjectionDefaults() {
+    const projectionName = document.getElementById("projection").value;
+    const { parallels, center, clipAngle } = defaultProjectionParams(projectionName);
+    if (parallels) {
+        document.getElementById("projParallel1").value = parallels[0];
+        document.getElementById("projParallel2").value = parallels.length > 1 ? parallels[1] : "";
+    }
+    if (clipAngle !== null) document.getElementById("projClipAngle").value = clipAngle;
+    document.getElementById("projCenterLon").value = center[0];
+    document.getElementById("projCenterLat").value = center[1];
+}
+
+// Show only the parameter fields that apply to the selected projection family.
+function updateProjectionParamsVisibility() {
+    const projectionName = document.getElementById("projection").value;
+    const family = projectionFamily(projectionName);
+    const show = (id, on, display = "flex") => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = on ? display : "none";
+    };
+    show("parallelsWrap", family === "conic", "grid");
+    show("parallel2Field", projectionName !== "geoBonne");
+    show("clipAngleWrap", family === "azimuthal");
+}
+
+// Everything setupProjection needs besides the name and the fit: rotation plus
+// the family-specific panel values. Travels to the workers unchanged and is
+// part of the dot cache key.
+function getProjectionOptions(projectionName) {
+    const num = id => {
+        const v = parseFloat(document.getElementById(id).value);
+        return isNaN(v) ? null : v;
+    };
+    const options = {
+        rotate: getRotation(),
+        center: [num("projCenterLon") || 0, num("projCenterLat") || 0],
+        precision: num("projPrecision"),
+        reflectX: document.getElementById("projReflectX").checked,
+        reflectY: document.getElementById("projReflectY").checked
+    };
+
+    const family = projectionFamily(projectionName);
+    if (family === "conic") {
+        const p1 = num("projParallel1") || 0;
+        options.parallels = projectionName === "geoBonne" ? [p1] : [p1, num("projParallel2") || 0];
+    } else if (family === "azimuthal") {
+        const angle = num("projClipAngle");
+        options.clipAngle = angle !== null && angle > 0 && angle < 180 ? angle : null;
+    }
+    return options;
+}
+
+function setupProjection(projectionName, width, height, fitGeometry, options = {}) {
+    // Fall back gracefully if a projection name isn't available in this build of
+    // d3 / d3-geo-projection, rather than throwing.
+    const factory = typeof d3[projectionName] === "function" ? d3[projectionName] : d3.geoEquirectangular;
+    if (factory === d3.geoEquirectangular && projectionName !== "geoEquirectangular") {
+        console.warn(`Projection "${projectionName}" unavailable; using Equirectangular.`);
+    }
+    currentProjection = factory();
+    baseRotation = currentProjection.rotate();
+
+    // Configure projection parameters BEFORE fitSize so the fit (scale +
+    // translate) is computed for the final center/parallels/clip. This must
+    // stay in sync with setupProjection in fast-worker.js so the dots line up
+    // exactly with the borders.
+    configureProjection(currentProjection, options);
 
     // Fit to the cropped region (with padding) when one is selected, otherwise
     // to the whole sphere. Must mirror setupProjection in fast-worker.js so the
@@ -186,97 +1447,863 @@ function setupProjection(projectionName, width, height, fitGeometry) {
     const pad = fitGeometry ? Math.min(width, height) * 0.04 : 0;
     currentProjection.fitExtent([[pad, pad], [width - pad, height - pad]], geom);
 
-    return currentProjection;
+    return currentProjection;
+}
+
+// Apply the panel options to a fresh projection. Mirrors configureProjection
+// in fast-worker.js.
+function configureProjection(projection, options) {
+    if (options.parallels) {
+        if (projection.parallels) projection.parallels(options.parallels);
+        else if (projection.parallel) projection.parallel(options.parallels[0]);
+    }
+    if (options.center) projection.center(options.center);
+    if (options.clipAngle) projection.clipAngle(options.clipAngle);
+    if (options.precision !== null && options.precision !== undefined) projection.precision(options.precision);
+    if (options.reflectX) projection.reflectX(true);
+    if (options.reflectY) projection.reflectY(true);
+
+    // Rotation also has to happen before the fit: it decides which side of the
+    // globe faces the viewer (azimuthals) and where the map is centred. It is
+    // added to the projection's own rotation, so [0, 0, 0] keeps e.g.
+    // geoAlbers' built-in rotate([96, 0]) and its US-centred default.
+    if (options.rotate) projection.rotate(addRotation(projection.rotate(), options.rotate));
+}
+
+function addRotation(base, rotate) {
+    return [base[0] + rotate[0], base[1] + rotate[1], (base[2] || 0) + (rotate[2] || 0)];
+}
+
+// ---------- Region cropping ----------
+
+// Returns null for the whole world, otherwise { features, indices, key } for the
+// currently selected crop region. Shape crops (hemisphere, lat/lon box, radius
+// around a point) also carry `shape`, the GeoJSON geometry that the projection
+// is fitted to and that land and dots are clipped against.
+function getRegionSelection() {
+    const typeEl = document.getElementById("regionType");
+    if (!typeEl) return null;
+    const type = typeEl.value;
+    if (type === "world") return null;
+
+    if (type === "bbox" || type === "radius") return getShapeSelection(type);
+    if (type === "custom") return getCustomSelection();
+
+    const choice = document.getElementById("regionChoice").value;
+    if (!choice) return null;
+
+    if (type === "hemisphere") return getShapeSelection(type, choice);
+
+    let indices = [];
+    if (type === "country") {
+        world.features.forEach((f, i) => { if (f.properties.name === choice) indices.push(i); });
+    } else if (type === "countryNeighbours") {
+        const depth = Math.max(1, Math.min(3, parseInt(document.getElementById("neighbourDepth").value) || 1));
+        const withinKm = Math.max(0, numberInput("neighbourKm"));
+        indices = countryWithNeighbours(choice, depth, withinKm);
+        if (indices.length === 0) return null;
+        return {
+            features: indices.map(i => world.features[i]),
+            indices,
+            key: `${type}:${choice}:${depth}:${withinKm}`
+        };
+    } else if (type === "continent") {
+        world.features.forEach((f, i) => { if (continentOf(f) === choice) indices.push(i); });
+    } else if (type === "bloc") {
+        const members = blocMembers(choice);
+        world.features.forEach((f, i) => { if (members.has(f.properties.name)) indices.push(i); });
+    }
+
+    if (indices.length === 0) return null;
+    return { features: indices.map(i => world.features[i]), indices, key: `${type}:${choice}` };
+}
+
+// The in-progress region from the custom region editor (not yet saved).
+function getCustomSelection() {
+    const names = new Set(selectedCustomCountries());
+    const indices = [];
+    world.features.forEach((f, i) => { if (names.has(f.properties.name)) indices.push(i); });
+    if (indices.length === 0) return null;
+    return {
+        features: indices.map(i => world.features[i]),
+        indices,
+        key: `custom:${indices.join(",")}`
+    };
+}
+
+function numberInput(id, fallback = 0) {
+    const v = parseFloat(document.getElementById(id).value);
+    return isNaN(v) ? fallback : v;
+}
+
+// Selection for the geometric crops. Every country touching the shape is
+// selected; the shape itself trims them to the exact crop.
+function getShapeSelection(type, choice) {
+    let shape, key;
+    if (type === "hemisphere") {
+        const meridian = numberInput("hemisphereMeridian");
+        shape = hemispherePolygon(choice, meridian);
+        if (!shape) return null;
+        key = `hemisphere:${choice}:${meridian}`;
+    } else if (type === "bbox") {
+        const west = numberInput("bboxWest"), east = numberInput("bboxEast");
+        const south = numberInput("bboxSouth"), north = numberInput("bboxNorth");
+        if (north <= south) return null;
+        shape = bboxPolygon(west, south, east, north);
+        key = `bbox:${west},${south},${east},${north}`;
+    } else {
+        const lon = numberInput("radiusLon"), lat = numberInput("radiusLat");
+        const km = numberInput("radiusKm");
+        if (km <= 0) return null;
+        shape = d3.geoCircle()
+            .center([lon, lat])
+            .radius(km / EARTH_RADIUS_KM * 180 / Math.PI)();
+        key = `radius:${lon},${lat},${km}`;
+    }
+
+    const indices = [];
+    const shapeBounds = d3.geoBounds(shape);
+    world.features.forEach((f, i) => { if (intersectsShape(f, shape, shapeBounds)) indices.push(i); });
+    return { features: indices.map(i => world.features[i]), indices, key, shape };
+}
+
+// Lat/lon box as a spherical polygon. Its top and bottom edges follow the
+// parallels, so they are densified in 1° steps; a bare 4-corner ring would
+// be joined along great circles and bulge toward the poles. An east bound
+// below the west bound wraps across the antimeridian; a box all the way round
+// is a band between two parallels.
+function bboxPolygon(west, south, east, north) {
+    if (east <= west) east += 360;
+    if (east - west >= 360) return latitudeBand(south, north);
+    const steps = Math.max(1, Math.ceil(east - west));
+    const ring = [];
+    // Clockwise (d3's exterior winding): along the top heading east, then back
+    // along the bottom heading west.
+    for (let i = 0; i <= steps; i++) ring.push([west + (east - west) * i / steps, north]);
+    for (let i = steps; i >= 0; i--) ring.push([west + (east - west) * i / steps, south]);
+    ring.push(ring[0]);
+    return { type: "Polygon", coordinates: [ring] };
+}
+
+// Everything between two parallels. Parallels are small circles around the
+// poles, so the band is the cap north of `south` with the cap north of
+// `north` cut out as a hole (or a single cap when it reaches a pole).
+function latitudeBand(south, north) {
+    const cap = (center, radius) => d3.geoCircle().center(center).radius(radius).precision(1)().coordinates[0];
+    if (north >= 90 && south <= -90) return { type: "Sphere" };
+    if (north >= 90) return { type: "Polygon", coordinates: [cap([0, 90], 90 - south)] };
+    if (south <= -90) return { type: "Polygon", coordinates: [cap([0, -90], 90 + north)] };
+    return { type: "Polygon", coordinates: [cap([0, 90], 90 - south), cap([0, 90], 90 - north).reverse()] };
+}
+
+// Feature/shape overlap: a vertex of either lies inside the other, or two of
+// their edges cross (a long, sparse border can cut through a shape with no
+// vertex on the inside). Bounding boxes rule out far-away features first, and
+// only vertices within the other's bounds are tested.
+function intersectsShape(feature, shape, shapeBounds = d3.geoBounds(shape)) {
+    if (!feature.geometry) return false;
+    if (shape.type === "Sphere") return true;
+    const featureBounds = d3.geoBounds(feature);
+    if (!boundsOverlap(featureBounds, shapeBounds)) return false;
+
+    const featureRings = polygonRings(feature.geometry);
+    const shapeRings = polygonRings(shape);
+    for (const ring of featureRings) {
+        for (const p of ring) if (inBounds(shapeBounds, p) && d3.geoContains(shape, p)) return true;
+    }
+    for (const ring of shapeRings) {
+        for (const p of ring) if (inBounds(featureBounds, p) && d3.geoContains(feature, p)) return true;
+    }
+    return ringsCross(featureRings, shapeRings, shapeBounds);
+}
+
+function polygonRings(geometry) {
+    if (geometry.type === "Polygon") return geometry.coordinates;
+    if (geometry.type === "MultiPolygon") return geometry.coordinates.flat();
+    return [];
+}
+
+// geoBounds boxes; a west bound above the east bound wraps the antimeridian.
+function boundsOverlap([[w1, s1], [e1, n1]], [[w2, s2], [e2, n2]]) {
+    if (s1 > n2 || s2 > n1) return false;
+    if (e1 < w1) e1 += 360;
+    if (e2 < w2) e2 += 360;
+    return [-360, 0, 360].some(shift => w1 + shift <= e2 && w2 <= e1 + shift);
+}
+
+function inBounds(bounds, [lon, lat]) {
+    return boundsOverlap(bounds, [[lon, lat], [lon, lat]]);
+}
+
+// Does any feature edge cross any shape edge? Edges are great-circle arcs;
+// feature edges whose latitude span (padded by the arc length, which bounds
+// how far it can bulge poleward) misses the shape are skipped.
+function ringsCross(featureRings, shapeRings, [[, south], [, north]]) {
+    const shapeEdges = [];
+    for (const ring of shapeRings) {
+        for (let i = 1; i < ring.length; i++) shapeEdges.push([unitVector(ring[i - 1]), unitVector(ring[i])]);
+    }
+    for (const ring of featureRings) {
+        for (let i = 1; i < ring.length; i++) {
+            const a = ring[i - 1], b = ring[i];
+            const bulge = d3.geoDistance(a, b) * 180 / Math.PI;
+            if (Math.max(a[1], b[1]) + bulge < south || Math.min(a[1], b[1]) - bulge > north) continue;
+            const va = unitVector(a), vb = unitVector(b);
+            if (shapeEdges.some(([vc, vd]) => arcsCross(va, vb, vc, vd))) return true;
+        }
+    }
+    return false;
+}
+
+function unitVector([lon, lat]) {
+    const l = lon * Math.PI / 180, p = lat * Math.PI / 180;
+    return [Math.cos(p) * Math.cos(l), Math.cos(p) * Math.sin(l), Math.sin(p)];
+}
+
+function cross3([a0, a1, a2], [b0, b1, b2]) {
+    return [a1 * b2 - a2 * b1, a2 * b0 - a0 * b2, a0 * b1 - a1 * b0];
+}
+
+function dot3(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// Arcs AB and CD meet where their great circles do (±(A×B)×(C×D)), if that
+// point lies on both arcs.
+function arcsCross(a, b, c, d) {
+    const n1 = cross3(a, b), n2 = cross3(c, d);
+    const p = cross3(n1, n2);
+    if (dot3(p, p) < 1e-24) return false; // same or degenerate great circle
+    const onArc = (q, u, v, n) => dot3(cross3(u, q), n) >= 0 && dot3(cross3(q, v), n) >= 0;
+    return [p, p.map(x => -x)].some(q => onArc(q, a, b, n1) && onArc(q, c, d, n2));
+}
+
+// Half of the globe as a 90° spherical cap. The equator and meridians are
+// great circles, so the cap's edge follows them exactly and countries are cut
+// along the line itself rather than kept or dropped whole. East/West are split
+// along `meridian` (0 = Greenwich).
+function hemispherePolygon(hemisphere, meridian = 0) {
+    const centers = {
+        Northern: [0, 90],
+        Southern: [0, -90],
+        Eastern: [meridian + 90, 0],
+        Western: [meridian - 90, 0]
+    };
+    if (!centers[hemisphere]) return null;
+    return d3.geoCircle().center(centers[hemisphere]).radius(90)();
+}
+
+// The country plus `depth` rings of neighbours. A ring is the land neighbours
+// from topojson plus, when `withinKm` > 0, every country whose geometry comes
+// within that distance — which is what gives island states (Japan, the UK)
+// their maritime neighbours.
+function countryWithNeighbours(name, depth = 1, withinKm = 0) {
+    const idx = world.features.findIndex(f => f.properties.name === name);
+    if (idx < 0) return [];
+    const set = new Set([idx]);
+    let frontier = [idx];
+    for (let ring = 0; ring < depth && frontier.length; ring++) {
+        const next = [];
+        for (const i of frontier) {
+            const around = new Set(countryNeighbors[i] || []);
+            if (withinKm > 0) nearbyCountries(i, withinKm).forEach(n => around.add(n));
+            for (const n of around) {
+                if (!set.has(n)) { set.add(n); next.push(n); }
+            }
+        }
+        frontier = next;
+    }
+    return [...set];
+}
+
+// Per-feature vertices (as unit vectors) + bounding cap (centroid and angular
+// radius), built lazily so distance queries can skip far-away countries
+// cheaply.
+let featureExtents = null;
+const nearbyCache = new Map();
+const vertexGrids = new Map();
+
+function getFeatureExtents() {
+    if (featureExtents) return featureExtents;
+    featureExtents = world.features.map(f => {
+        const vertices = featureVertices(f);
+        const centroid = d3.geoCentroid(f);
+        let radius = 0;
+        for (const v of vertices) radius = Math.max(radius, d3.geoDistance(centroid, v));
+        return { points: vertices.map(unitVector), centroid: unitVector(centroid), radius };
+    });
+    return featureExtents;
+}
+
+function featureVertices(feature) {
+    const geom = feature.geometry;
+    if (!geom) return [];
+    const polygons = geom.type === "Polygon" ? [geom.coordinates] : geom.coordinates;
+    const out = [];
+    for (const polygon of polygons) for (const ring of polygon) for (const p of ring) out.push(p);
+    return out;
+}
+
+// Feature j's vertices bucketed into a 3-D grid of `chord`-wide cells, so a
+// vertex within `chord` of a point is always in one of the 27 cells around
+// it. Keeps the distance test linear in the vertex counts, which matters for
+// the 10m datasets (Canada × USA alone is billions of vertex pairs).
+function vertexGrid(j, chord) {
+    const cacheKey = `${j}:${chord}`;
+    let grid = vertexGrids.get(cacheKey);
+    if (grid) return grid;
+    const size = Math.ceil(2 / chord) + 2;
+    const cell = v => Math.floor((v + 1) / chord) + 1;
+    const cells = new Map();
+    for (const p of getFeatureExtents()[j].points) {
+        const key = (cell(p[0]) * size + cell(p[1])) * size + cell(p[2]);
+        let bucket = cells.get(key);
+        if (!bucket) { bucket = []; cells.set(key, bucket); }
+        bucket.push(p);
+    }
+    grid = { cells, cell, size };
+    vertexGrids.set(cacheKey, grid);
+    return grid;
+}
+
+// Indices of countries whose nearest vertices lie within `km` of feature i.
+// Vertex-to-vertex distance slightly overestimates the true gap along long
+// straight edges, which is fine at the scale of a regional briefing.
+function nearbyCountries(i, km) {
+    const cacheKey = `${i}:${km}`;
+    if (nearbyCache.has(cacheKey)) return nearbyCache.get(cacheKey);
+
+    const extents = getFeatureExtents();
+    const limit = km / EARTH_RADIUS_KM; // radians
+    const minDot = Math.cos(limit);
+    const chord = 2 * Math.sin(Math.min(limit, Math.PI) / 2);
+    const a = extents[i];
+    const result = [];
+    extents.forEach((b, j) => {
+        if (j === i || !b.points.length) return;
+        // Bounding caps further apart than the limit can't contain close vertices.
+        if (Math.acos(Math.min(1, dot3(a.centroid, b.centroid))) - a.radius - b.radius > limit) return;
+        // Only a's vertices that reach b's cap can be near one of b's vertices.
+        const reach = Math.cos(Math.min(Math.PI, b.radius + limit));
+        const { cells, cell, size } = vertexGrid(j, chord);
+        for (const p of a.points) {
+            if (dot3(p, b.centroid) < reach) continue;
+            const x = cell(p[0]), y = cell(p[1]), z = cell(p[2]);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const bucket = cells.get(((x + dx) * size + y + dy) * size + z + dz);
+                        if (bucket && bucket.some(q => dot3(p, q) >= minDot)) { result.push(j); return; }
+                    }
+                }
+            }
+        }
+    });
+
+    nearbyCache.set(cacheKey, result);
+    return result;
+}
+
+function countryNames() {
+    return world.features
+        .map(f => f.properties.name)
+        .filter(Boolean)
+        .sort((a, b) => a.localeCompare(b));
+}
+
+// Rebuild the secondary "Selection" dropdown to match the chosen crop type.
+function populateRegionChoices() {
+    const type = document.getElementById("regionType").value;
+    const wrap = document.getElementById("regionChoiceWrap");
+    const choice = document.getElementById("regionChoice");
+
+    const bboxWrap = document.getElementById("regionBboxWrap");
+    const radiusWrap = document.getElementById("regionRadiusWrap");
+    const customWrap = document.getElementById("customRegionWrap");
+    if (bboxWrap) bboxWrap.style.display = type === "bbox" ? "flex" : "none";
+    if (radiusWrap) radiusWrap.style.display = type === "radius" ? "flex" : "none";
+    const neighboursWrap = document.getElementById("neighbourOptionsWrap");
+    if (customWrap) customWrap.style.display = type === "custom" ? "flex" : "none";
+    if (neighboursWrap) neighboursWrap.style.display = type === "countryNeighbours" ? "flex" : "none";
+    updateHemisphereControlsVisibility();
+    updateCropStyleVisibility();
+
+    let options = [];
+    if (type === "hemisphere") {
+        options = ["Northern", "Southern", "Eastern", "Western"];
+    } else if (type === "country" || type === "countryNeighbours") {
+        options = countryNames();
+    } else if (type === "continent") {
+        options = (typeof CONTINENTS !== "undefined") ? CONTINENTS : [];
+    } else if (type === "bloc") {
+        options = (typeof BLOCS !== "undefined") ? BLOCS : [];
+    }
+
+    // Saved regions sit in their own group after the built-in blocs.
+    const saved = type === "bloc" ? customBlocNames() : [];
+
+    if (options.length === 0 && saved.length === 0) {
+        wrap.style.display = "none";
+        choice.innerHTML = "";
+        return;
+    }
+
+    const previous = choice.value;
+    wrap.style.display = "flex";
+    choice.innerHTML = "";
+    const addOptions = (parent, names) => {
+        for (const o of names) {
+            const op = document.createElement("option");
+            op.value = o;
+            op.textContent = o;
+            parent.appendChild(op);
+        }
+    };
+    addOptions(choice, options);
+    if (saved.length) {
+        const group = document.createElement("optgroup");
+        group.label = "Saved regions";
+        addOptions(group, saved);
+        choice.appendChild(group);
+    }
+    if (options.includes(previous) || saved.includes(previous)) choice.value = previous;
+}
+
+// Crop style only matters once something is cropped; the context styling only
+// for "highlight".
+function updateCropStyleVisibility() {
+    const cropped = document.getElementById("regionType").value !== "world";
+    const highlight = document.getElementById("cropStyle").value === "highlight";
+    const styleWrap = document.getElementById("cropStyleWrap");
+    const contextWrap = document.getElementById("contextStyleWrap");
+    if (styleWrap) styleWrap.style.display = cropped ? "flex" : "none";
+    if (contextWrap) contextWrap.style.display = cropped && highlight ? "flex" : "none";
+}
+
+// The split meridian only applies to the Eastern/Western hemispheres.
+function updateHemisphereControlsVisibility() {
+    const wrap = document.getElementById("hemisphereMeridianWrap");
+    if (!wrap) return;
+    const type = document.getElementById("regionType").value;
+    const choice = document.getElementById("regionChoice").value;
+    wrap.style.display = type === "hemisphere" && (choice === "Eastern" || choice === "Western") ? "flex" : "none";
+}
+
+// ---------- Custom region editor ----------
+
+function selectedCustomCountries() {
+    const list = document.getElementById("customRegionCountries");
+    return list ? [...list.selectedOptions].map(o => o.value) : [];
+}
+
+function setCustomCountries(names) {
+    const wanted = new Set(names);
+    const list = document.getElementById("customRegionCountries");
+    for (const o of list.options) o.selected = wanted.has(o.value);
+    updateCustomRegionCount();
+}
+
+function updateCustomRegionCount() {
+    const el = document.getElementById("customRegionCount");
+    if (!el) return;
+    const n = selectedCustomCountries().length;
+    el.textContent = `${n} ${n === 1 ? "country" : "countries"} selected`;
+}
+
+function refreshSavedRegionNames() {
+    populateColorBlocChoices();
+    const list = document.getElementById("savedRegionNames");
+    if (!list) return;
+    list.innerHTML = "";
+    for (const name of customBlocNames()) {
+        const op = document.createElement("option");
+        op.value = name;
+        list.appendChild(op);
+    }
+}
+
+// The country drawn under a point in render (viewBox) coordinates, or null.
+function countryAtPoint(x, y) {
+    if (!currentProjection || !currentProjection.invert) return null;
+    const coords = currentProjection.invert([x, y]);
+    if (!coords || isNaN(coords[0]) || isNaN(coords[1])) return null;
+    return world.features.find(f => d3.geoContains(f, coords)) || null;
+}
+
+function downloadText(text, filename, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Fill the editor's list from the loaded dataset, keeping what is still valid
+// of the current selection.
+function populateCustomRegionCountries() {
+    const list = document.getElementById("customRegionCountries");
+    if (!list) return;
+    const selected = new Set(selectedCustomCountries());
+    list.innerHTML = "";
+    for (const name of new Set(countryNames())) {
+        const op = document.createElement("option");
+        op.value = name;
+        op.textContent = name;
+        op.selected = selected.has(name);
+        list.appendChild(op);
+    }
+    updateCustomRegionCount();
+}
+
+function setupCustomRegions() {
+    const list = document.getElementById("customRegionCountries");
+    const nameInput = document.getElementById("customRegionName");
+    if (!list || !nameInput) return;
+
+    populateCustomRegionCountries();
+    refreshSavedRegionNames();
+    updateCustomRegionCount();
+
+    list.addEventListener("change", function() {
+        updateCustomRegionCount();
+        scheduleUpdate();
+    });
+
+    // Typing (or picking) the name of a saved region loads it for editing.
+    nameInput.addEventListener("change", function() {
+        const name = this.value.trim();
+        if (isCustomBloc(name)) {
+            setCustomCountries(CUSTOM_BLOC_MEMBERS[name]);
+            scheduleUpdate();
+        }
+    });
+
+    // With "Pick on map" on, clicking a country toggles it in the list. A drag
+    // (rotation) suppresses the click, so the two don't fight.
+    d3.select("#map").on("click.customRegion", function(event) {
+        const pick = document.getElementById("customRegionPick");
+        if (!pick || !pick.checked || document.getElementById("regionType").value !== "custom") return;
+        const [x, y] = d3.pointer(event, this);
+        const country = countryAtPoint(x, y);
+        if (!country) return;
+        const option = [...list.options].find(o => o.value === country.properties.name);
+        if (!option) return;
+        option.selected = !option.selected;
+        updateCustomRegionCount();
+        scheduleUpdate();
+    });
+
+    document.getElementById("saveCustomRegion").addEventListener("click", function() {
+        const name = nameInput.value.trim();
+        const members = selectedCustomCountries();
+        if (!name || members.length === 0) {
+            alert("Enter a name and select at least one country.");
+            return;
+        }
+        if (!saveCustomBloc(name, members)) {
+            alert(`"${name}" is a built-in bloc; please choose another name.`);
+            return;
+        }
+        refreshSavedRegionNames();
+        // Show the freshly saved region through the normal bloc crop.
+        document.getElementById("regionType").value = "bloc";
+        populateRegionChoices();
+        document.getElementById("regionChoice").value = name;
+        scheduleUpdate();
+    });
+
+    document.getElementById("deleteCustomRegion").addEventListener("click", function() {
+        const name = nameInput.value.trim();
+        if (!deleteCustomBloc(name)) {
+            alert(`No saved region named "${name}".`);
+            return;
+        }
+        nameInput.value = "";
+        refreshSavedRegionNames();
+        populateRegionChoices();
+        scheduleUpdate();
+    });
+
+    document.getElementById("exportCustomRegions").addEventListener("click", function() {
+        downloadText(exportCustomBlocs(), `regions-${Date.now()}.json`, "application/json");
+    });
+
+    const importInput = document.getElementById("importCustomRegionsFile");
+    document.getElementById("importCustomRegions").addEventListener("click", () => importInput.click());
+    importInput.addEventListener("change", async function() {
+        const file = this.files[0];
+        this.value = ""; // allow re-importing the same file
+        if (!file) return;
+        try {
+            const count = importCustomBlocs(JSON.parse(await file.text()));
+            refreshSavedRegionNames();
+            populateRegionChoices();
+            setStatus(`Imported ${count} region${count === 1 ? "" : "s"}`);
+            setTimeout(() => setStatus(null), 2000);
+        } catch (error) {
+            console.error("Failed to import regions:", error);
+            alert("Could not import regions: " + error.message);
+        }
+    });
+}
+
+
+// ---------- Datasets ----------
+
+// Built-in map data, shipped in data/ so the app needs no network. Datasets
+// that don't cover the globe (fitToData) fit the un-cropped view to their own
+// features instead of the whole sphere, and have no continent / bloc groupings.
+const DATASETS = {
+    world: {
+        url: resolution => `data/world-atlas/countries-${resolution}.json`,
+        objectName: "countries",
+        nameProperty: "name",
+        fitToData: false
+    },
+    usStates: {
+        url: () => "data/us-atlas/states-10m.json",
+        objectName: "states",
+        nameProperty: "name",
+        fitToData: true
+    }
+};
+
+const WORLD_RESOLUTIONS = ["110m", "50m", "10m"];
+
+let activeDataset = { key: "world:110m", name: "world", resolution: "110m", fitToData: false };
+let customTopology = null; // last TopoJSON file loaded from disk
+let datasetLoading = false;
+
+// Hand a topology to the workers and swap it in as the active feature set.
+// updateMap is a no-op while this runs; callers re-render once it resolves.
+async function loadDataset(topology, { key, name, resolution, objectName, nameProperty, fitToData }) {
+    setStatus(resolution ? `Loading 1:${resolution} map data…` : "Loading map data…");
+    datasetLoading = true;
+    let initData;
+    try {
+        initData = await workerPool.init(topology, { objectName, nameProperty });
+    } finally {
+        datasetLoading = false;
+    }
+    world.features = initData.features;
+    countryNeighbors = initData.neighbors || [];
+    activeDataset = { key, name, resolution: resolution || null, fitToData: !!fitToData };
+
+    // Indices and names changed, so everything derived from the old features
+    // is stale.
+    dotCache.clear();
+    nearbyCache.clear();
+    vertexGrids.clear();
+    featureExtents = null;
+
+    // Continents and blocs are keyed by world-atlas country names.
+    const regionType = document.getElementById("regionType");
+    for (const o of regionType.options) {
+        if (o.value === "continent" || o.value === "bloc") o.disabled = !!fitToData;
+    }
+    if (regionType.selectedOptions[0] && regionType.selectedOptions[0].disabled) regionType.value = "world";
+
+    populateRegionChoices();
+    populateCustomRegionCountries();
+    populateOverrideCountryChoices();
+    updateChoroplethSummary();
+    setStatus(null);
+    console.log(`Workers initialized with dataset "${key}" (${world.features.length} features)`);
+}
+
+async function loadBuiltInDataset(name, resolution = "110m") {
+    const dataset = DATASETS[name] || DATASETS.world;
+    const key = name === "world" ? `world:${resolution}` : name;
+    const topology = await d3.json(dataset.url(resolution));
+    await loadDataset(topology, { key, name, resolution: name === "world" ? resolution : null, ...dataset });
 }
 
+// Auto mode steps up a resolution at these pixels per degree (110m -> 50m,
+// 50m -> 10m) but only steps back down below threshold / margin. A crop's
+// bounds shift a little between resolutions (outlying islets come and go), and
+// without the gap a crop near a threshold would keep reloading one atlas after
+// the other.
+const AUTO_RESOLUTION_THRESHOLDS = [12, 60];
+const AUTO_RESOLUTION_MARGIN = 1.5;
+
+// The world-atlas resolution to use: the explicit choice, or for "auto" the
+// coarsest one that still holds up at the current render size and crop,
+// judged by how many output pixels one degree of the cropped extent covers.
+function chooseResolution(selection, width, height) {
+    const choice = document.getElementById("resolution").value;
+    if (WORLD_RESOLUTIONS.includes(choice)) return choice;
+
+    let lonSpan = 360, latSpan = 180;
+    if (selection) {
+        const [[west, south], [east, north]] = d3.geoBounds(
+            selection.shape || { type: "FeatureCollection", features: selection.features }
+        );
+        lonSpan = east >= west ? east - west : east + 360 - west;
+        latSpan = north - south;
+    }
+    const pixelsPerDegree = Math.min(width / Math.max(lonSpan, 1e-6), height / Math.max(latSpan, 1e-6));
+    const current = WORLD_RESOLUTIONS.indexOf(activeDataset.resolution);
+    let level = 0;
+    AUTO_RESOLUTION_THRESHOLDS.forEach((threshold, i) => {
+        const limit = current > i ? threshold / AUTO_RESOLUTION_MARGIN : threshold;
+        if (pixelsPerDegree >= limit) level = i + 1;
+    });
+    return WORLD_RESOLUTIONS[level];
+}
 
-// ---------- Region cropping ----------
+// The world-atlas resolution to load a dataset at, so it is fetched once:
+// the explicit choice, or auto's pick for the uncropped view (updateMap still
+// steps up if the crop needs more detail).
+function initialResolution() {
+    const { width, height } = getRenderDimensions();
+    return chooseResolution(null, width, height);
+}
 
-// Returns null for the whole world, otherwise { features, indices, key } for the
-// currently selected crop region.
-function getRegionSelection() {
-    const typeEl = document.getElementById("regionType");
-    if (!typeEl) return null;
-    const type = typeEl.value;
-    if (type === "world") return null;
+// Swap the world atlas to another resolution (picked, or chosen by auto
+// mode), then re-render.
+async function switchResolution(resolution) {
+    // Say so: the 10m atlas is a multi-megabyte download.
+    setStatus(`Loading 1:${resolution} map data…`);
+    try {
+        await loadBuiltInDataset("world", resolution);
+    } catch (error) {
+        console.error("Failed to load dataset:", error);
+        setStatus("Could not load map data", true);
+        return;
+    }
+    updateMap();
+}
 
-    const choice = document.getElementById("regionChoice").value;
-    if (!choice) return null;
+// Property names that usually hold a readable feature name, most likely first.
+const NAME_PROPERTY_CANDIDATES = ["name", "NAME", "NAME_1", "name_1", "NAME_EN", "name_en", "nom", "NOM", "admin", "ADMIN"];
 
-    let indices = [];
-    if (type === "hemisphere") {
-        world.features.forEach((f, i) => { if (inHemisphere(f, choice)) indices.push(i); });
-    } else if (type === "country") {
-        world.features.forEach((f, i) => { if (f.properties.name === choice) indices.push(i); });
-    } else if (type === "countryNeighbours") {
-        indices = countryWithNeighbours(choice);
-    } else if (type === "continent") {
-        world.features.forEach((f, i) => { if (continentOf(f) === choice) indices.push(i); });
-    } else if (type === "bloc") {
-        const members = blocMembers(choice);
-        world.features.forEach((f, i) => { if (members.has(f.properties.name)) indices.push(i); });
+function guessNameProperty(topology, objectName) {
+    const object = topology.objects[objectName];
+    const geometries = object && object.geometries ? object.geometries : [object];
+    const props = (geometries.find(g => g && g.properties) || {}).properties || {};
+    const known = NAME_PROPERTY_CANDIDATES.find(k => typeof props[k] === "string");
+    if (known) return known;
+    return Object.keys(props).find(k => typeof props[k] === "string") || "name";
+}
+
+// Read a TopoJSON file (picked or dropped), list its objects and load the
+// first polygon collection.
+async function loadTopologyFile(file) {
+    let topology;
+    try {
+        topology = JSON.parse(await file.text());
+    } catch (error) {
+        alert(`"${file.name}" is not valid JSON.`);
+        return;
+    }
+    if (!topology || topology.type !== "Topology" || !topology.objects) {
+        alert(`"${file.name}" is not a TopoJSON file.`);
+        return;
     }
 
-    if (indices.length === 0) return null;
-    return { features: indices.map(i => world.features[i]), indices, key: `${type}:${choice}` };
+    customTopology = { name: file.name, topology };
+    const objectSelect = document.getElementById("datasetObject");
+    objectSelect.innerHTML = "";
+    for (const objectName of Object.keys(topology.objects)) {
+        const op = document.createElement("option");
+        op.value = objectName;
+        op.textContent = objectName;
+        objectSelect.appendChild(op);
+    }
+    const preferred = Object.keys(topology.objects).find(k => /state|province|region|admin|countr/i.test(k));
+    if (preferred) objectSelect.value = preferred;
+    document.getElementById("datasetNameProp").value = guessNameProperty(topology, objectSelect.value);
+    document.getElementById("dataset").value = "file";
+    updateDatasetControlsVisibility();
+    await applyCustomDataset();
 }
 
-function inHemisphere(feature, hemisphere) {
-    const c = d3.geoCentroid(feature); // [lon, lat]
-    switch (hemisphere) {
-        case "Northern": return c[1] >= 0;
-        case "Southern": return c[1] < 0;
-        case "Eastern":  return c[0] >= 0;
-        case "Western":  return c[0] < 0;
-        default: return false;
+async function applyCustomDataset() {
+    if (!customTopology) return;
+    const objectName = document.getElementById("datasetObject").value;
+    const nameProperty = document.getElementById("datasetNameProp").value.trim() || "name";
+    try {
+        await loadDataset(customTopology.topology, {
+            key: `file:${customTopology.name}:${objectName}:${nameProperty}`,
+            name: "file",
+            objectName,
+            nameProperty,
+            fitToData: true
+        });
+        updateMap();
+    } catch (error) {
+        console.error("Failed to load dataset:", error);
+        setStatus("Could not load that file", true);
     }
 }
 
-function countryWithNeighbours(name) {
-    const idx = world.features.findIndex(f => f.properties.name === name);
-    if (idx < 0) return [];
-    const set = new Set([idx]);
-    (countryNeighbors[idx] || []).forEach(n => set.add(n));
-    return [...set];
+function updateDatasetControlsVisibility() {
+    const dataset = document.getElementById("dataset").value;
+    const wrap = document.getElementById("datasetFileWrap");
+    const resolutionWrap = document.getElementById("resolutionWrap");
+    if (wrap) wrap.style.display = dataset === "file" ? "flex" : "none";
+    if (resolutionWrap) resolutionWrap.style.display = dataset === "world" ? "flex" : "none";
 }
 
-function countryNames() {
-    return world.features
-        .map(f => f.properties.name)
-        .filter(Boolean)
-        .sort((a, b) => a.localeCompare(b));
-}
+function setupDatasetControls() {
+    const datasetSelect = document.getElementById("dataset");
+    if (!datasetSelect) return;
 
-// Rebuild the secondary "Selection" dropdown to match the chosen crop type.
-function populateRegionChoices() {
-    const type = document.getElementById("regionType").value;
-    const wrap = document.getElementById("regionChoiceWrap");
-    const choice = document.getElementById("regionChoice");
+    datasetSelect.addEventListener("change", async function() {
+        updateDatasetControlsVisibility();
+        if (this.value === "file") {
+            // Wait for a file unless one was already loaded this session.
+            if (customTopology) await applyCustomDataset();
+            return;
+        }
+        try {
+            // updateMap swaps in a finer world resolution if the crop needs one.
+            await loadBuiltInDataset(this.value, initialResolution());
+            updateMap();
+        } catch (error) {
+            console.error("Failed to load dataset:", error);
+            setStatus("Could not load map data", true);
+        }
+    });
 
-    let options = [];
-    if (type === "hemisphere") {
-        options = ["Northern", "Southern", "Eastern", "Western"];
-    } else if (type === "country" || type === "countryNeighbours") {
-        options = countryNames();
-    } else if (type === "continent") {
-        options = (typeof CONTINENTS !== "undefined") ? CONTINENTS : [];
-    } else if (type === "bloc") {
-        options = (typeof BLOCS !== "undefined") ? BLOCS : [];
-    }
+    // An explicit resolution loads right away; "auto" is resolved by updateMap.
+    document.getElementById("resolution").addEventListener("change", scheduleUpdate);
 
-    if (options.length === 0) {
-        wrap.style.display = "none";
-        choice.innerHTML = "";
-        return;
-    }
+    const fileInput = document.getElementById("datasetFile");
+    document.getElementById("chooseDatasetFile").addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", function() {
+        const file = this.files[0];
+        this.value = "";
+        if (file) loadTopologyFile(file);
+    });
 
-    wrap.style.display = "flex";
-    choice.innerHTML = "";
-    for (const o of options) {
-        const op = document.createElement("option");
-        op.value = o;
-        op.textContent = o;
-        choice.appendChild(op);
+    document.getElementById("datasetObject").addEventListener("change", function() {
+        if (!customTopology) return;
+        document.getElementById("datasetNameProp").value = guessNameProperty(customTopology.topology, this.value);
+        applyCustomDataset();
+    });
+    document.getElementById("datasetNameProp").addEventListener("change", applyCustomDataset);
+
+    // Dropping a .json / .topojson file anywhere on the map loads it.
+    const stage = document.querySelector(".stage");
+    if (stage) {
+        stage.addEventListener("dragover", function(event) {
+            if (event.dataTransfer && [...event.dataTransfer.types].includes("Files")) {
+                event.preventDefault();
+                stage.classList.add("is-dropping");
+            }
+        });
+        stage.addEventListener("dragleave", () => stage.classList.remove("is-dropping"));
+        stage.addEventListener("drop", function(event) {
+            event.preventDefault();
+            stage.classList.remove("is-dropping");
+            const file = event.dataTransfer.files[0];
+            if (file) loadTopologyFile(file);
+        });
     }
 }
 
@@ -288,8 +2315,13 @@ const OCEAN_DOT_COLOR = "#99ccff";
 // canvas for speed.
 let lastDotsData = null;
 let lastDotStyle = null;
+// Hover quadtree over lastDotsData (null when hover is off), reused for
+// click-to-recolor.
+let lastDotQuadtree = null;
+let lastDotSearchRadius = 0;
 
-// Vertices of a non-circular dot shape of "radius" r centered at (x, y).
+// Vertices of a polygonal dot shape of "radius" r centered at (x, y), or null
+// for the shapes drawn another way (circle, ring, custom glyph).
 function shapeVertices(shape, x, y, r) {
     switch (shape) {
         case "square":
@@ -308,53 +2340,334 @@ function shapeVertices(shape, x, y, r) {
             }
             return v;
         }
+        case "star": {
+            const v = [];
+            for (let i = 0; i < 10; i++) {
+                const a = Math.PI / 5 * i - Math.PI / 2; // point up
+                const radius = i % 2 ? r * 0.45 : r;
+                v.push([x + radius * Math.cos(a), y + radius * Math.sin(a)]);
+            }
+            return v;
+        }
+        case "plus":
+        case "cross": {
+            const w = r * 0.32; // arm half-width
+            const outline = [[-w, -r], [w, -r], [w, -w], [r, -w], [r, w], [w, w],
+                [w, r], [-w, r], [-w, w], [-r, w], [-r, -w], [-w, -w]];
+            if (shape === "plus") return outline.map(([px, py]) => [x + px, y + py]);
+            const c = Math.SQRT1_2; // cross = plus turned 45°
+            return outline.map(([px, py]) => [x + (px - py) * c, y + (px + py) * c]);
+        }
         default:
-            return null; // circle
+            return null;
     }
 }
 
-// Add one dot's outline to a canvas path.
-function addShapePath(ctx, shape, x, y, r) {
+// Inner radius of the ring shape, as a fraction of the outer one.
+const RING_INNER = 0.55;
+
+// Add one dot's outline to a canvas Path2D. `glyph` is the custom glyph used
+// by the "custom" shape; text glyphs can't join a path and are painted by
+// drawTextGlyphs instead.
+function addShapePath(path, shape, x, y, r, glyph) {
+    if (shape === "custom") {
+        if (glyph && glyph.type === "path") path.addPath(glyph.path2d, glyphMatrix(glyph, x, y, r));
+        return;
+    }
     const v = shapeVertices(shape, x, y, r);
     if (v) {
-        ctx.moveTo(v[0][0], v[0][1]);
-        for (let i = 1; i < v.length; i++) ctx.lineTo(v[i][0], v[i][1]);
-        ctx.closePath();
+        path.moveTo(v[0][0], v[0][1]);
+        for (let i = 1; i < v.length; i++) path.lineTo(v[i][0], v[i][1]);
+        path.closePath();
         return;
     }
-    // Circle: moveTo first so consecutive arcs aren't joined by a line.
-    ctx.moveTo(x + r, y);
-    ctx.arc(x, y, r, 0, Math.PI * 2);
+    // Circle: moveTo first so consecutive arcs aren't joined by a line. The
+    // ring's inner circle runs the other way, cutting a hole under nonzero.
+    path.moveTo(x + r, y);
+    path.arc(x, y, r, 0, Math.PI * 2);
+    if (shape === "ring") {
+        const inner = r * RING_INNER;
+        path.moveTo(x + inner, y);
+        path.arc(x, y, inner, 0, Math.PI * 2, true);
+    }
 }
 
-// SVG path data for one dot's shape.
+// SVG path data for one dot's shape. (Custom glyphs are exported as a
+// <symbol> placed with <use> instead.)
 function shapePathD(shape, x, y, r) {
     const v = shapeVertices(shape, x, y, r);
     if (v) {
         return "M" + v.map(p => `${p[0].toFixed(2)},${p[1].toFixed(2)}`).join("L") + "Z";
     }
-    return `M${x - r},${y}a${r},${r} 0 1,0 ${r * 2},0a${r},${r} 0 1,0 ${-r * 2},0`;
+    let d = `M${x - r},${y}a${r},${r} 0 1,0 ${r * 2},0a${r},${r} 0 1,0 ${-r * 2},0`;
+    if (shape === "ring") {
+        const inner = +(r * RING_INNER).toFixed(2);
+        d += `M${x - inner},${y}a${inner},${inner} 0 1,1 ${inner * 2},0a${inner},${inner} 0 1,1 ${-inner * 2},0`;
+    }
+    return d;
+}
+
+// Per-layer (land / ocean) dot settings from the panel: opacity plus an
+// optional stroke drawn over filled dots.
+function getDotLayerStyle(prefix) {
+    return {
+        opacity: Math.max(0, Math.min(1, numberInput(`${prefix}Opacity`, 0.8))),
+        strokeColor: document.getElementById(`${prefix}StrokeColor`).value,
+        strokeWidth: Math.max(0, numberInput(`${prefix}StrokeWidth`, 0))
+    };
+}
+
+// Outline-only dots are already all stroke, so the layer stroke only applies
+// to filled dots.
+function layerStroked(layer, outlineWidth) {
+    return layer.strokeWidth > 0 && !(outlineWidth > 0);
+}
+
+// ---------- Custom dot glyphs ----------
+// The "custom" dot shape draws a user glyph: an SVG path (pasted or taken
+// from an uploaded .svg) or a text / emoji character. Path glyphs are
+// normalized so their bounding box fits the dot's 2r square.
+
+const GLYPH_FONT = "system-ui, \"Apple Color Emoji\", \"Segoe UI Emoji\", sans-serif";
+
+let customGlyph = makeTextGlyph("★");
+
+function makeTextGlyph(text) {
+    text = text || "★";
+    return { type: "text", text, baseline: textGlyphBaseline(text) };
+}
+
+// How far below the glyph's center its alphabetic baseline sits, as a
+// fraction of the font size, so the ink is centered on the dot. Measured once
+// and used by both the canvas and the exported <symbol>, so they agree
+// whatever the font's own idea of "middle" is.
+function textGlyphBaseline(text) {
+    const ctx = document.createElement("canvas").getContext("2d");
+    ctx.font = `100px ${GLYPH_FONT}`;
+    const m = ctx.measureText(text);
+    return (m.actualBoundingBoxAscent - m.actualBoundingBoxDescent) / 200;
+}
+
+function makePathGlyph(d) {
+    if (!d.trim()) throw new Error("The path is empty");
+    const box = measurePath(d);
+    const size = Math.max(box.width, box.height);
+    if (!(size > 0)) throw new Error("The path has no area");
+    return {
+        type: "path",
+        d,
+        path2d: new Path2D(d),
+        cx: box.x + box.width / 2,
+        cy: box.y + box.height / 2,
+        size
+    };
+}
+
+// Bounding box of path data, measured by the browser in a throwaway <svg>.
+function measurePath(d) {
+    const svg = d3.select("body").append("svg")
+        .attr("width", 0)
+        .attr("height", 0)
+        .style("position", "absolute")
+        .style("visibility", "hidden");
+    const box = svg.append("path").attr("d", d).node().getBBox();
+    svg.remove();
+    return box;
+}
+
+// Scale-and-move matrix mapping the glyph's box onto the dot at (x, y).
+function glyphMatrix(glyph, x, y, r) {
+    const s = 2 * r / glyph.size;
+    return new DOMMatrix([s, 0, 0, s, x - glyph.cx * s, y - glyph.cy * s]);
+}
+
+// Path data of every <path>, <polygon> and <polyline> in an SVG document,
+// joined into one glyph.
+function svgFileToPathData(text) {
+    const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+    if (doc.querySelector("parsererror")) throw new Error("Not a valid SVG file");
+    const parts = [];
+    doc.querySelectorAll("path").forEach(el => {
+        const d = el.getAttribute("d");
+        if (d) parts.push(d.trim());
+    });
+    doc.querySelectorAll("polygon, polyline").forEach(el => {
+        const nums = (el.getAttribute("points") || "").trim().split(/[\s,]+/).map(Number);
+        if (nums.length < 4) return;
+        let d = `M${nums[0]},${nums[1]}`;
+        for (let k = 2; k + 1 < nums.length; k += 2) d += `L${nums[k]},${nums[k + 1]}`;
+        parts.push(el.tagName.toLowerCase() === "polygon" ? d + "Z" : d);
+    });
+    if (!parts.length) throw new Error("No <path> or <polygon> found");
+    return parts.join(" ");
+}
+
+// Text / emoji glyphs: one fillText (or strokeText) per dot, sized so the
+// font's em box matches the dot's 2r square.
+function drawTextGlyphs(ctx, glyph, dots, sizeFor, strokeWidth) {
+    ctx.textAlign = "center";
+    ctx.textBaseline = "alphabetic";
+    let font = null;
+    for (const d of dots) {
+        const r = sizeFor(d);
+        if (!(r > 0)) continue;
+        const f = `${(2 * r).toFixed(1)}px ${GLYPH_FONT}`;
+        if (f !== font) ctx.font = font = f;
+        const y = d.y + 2 * r * glyph.baseline;
+        if (strokeWidth > 0) ctx.strokeText(glyph.text, d.x, y);
+        else ctx.fillText(glyph.text, d.x, y);
+    }
+}
+
+function updateGlyphControlsVisibility() {
+    const custom = ["landDotShape", "oceanDotShape"].some(id => document.getElementById(id).value === "custom");
+    document.getElementById("glyphControls").style.display = custom ? "flex" : "none";
+    const text = document.getElementById("glyphType").value === "text";
+    document.getElementById("glyphTextWrap").style.display = text ? "" : "none";
+    document.getElementById("glyphPathWrap").style.display = text ? "none" : "";
+    document.getElementById("dotStrokeWidthWrap").style.display =
+        document.getElementById("dotStrokeOnly").checked ? "" : "none";
+}
+
+function applyGlyphInputs() {
+    const status = document.getElementById("glyphStatus");
+    if (document.getElementById("glyphType").value === "text") {
+        customGlyph = makeTextGlyph(document.getElementById("glyphText").value.trim());
+        status.textContent = "";
+        return;
+    }
+    const d = document.getElementById("glyphPath").value.trim();
+    if (!d) {
+        status.textContent = "Paste path data or load an .svg file.";
+        return;
+    }
+    try {
+        customGlyph = makePathGlyph(d);
+        status.textContent = "";
+    } catch (error) {
+        status.textContent = error.message;
+    }
+}
+
+function setupGlyphControls() {
+    const type = document.getElementById("glyphType");
+    if (!type) return;
+    updateGlyphControlsVisibility();
+    ["landDotShape", "oceanDotShape", "glyphType", "dotStrokeOnly"].forEach(id => {
+        document.getElementById(id).addEventListener("change", function() {
+            updateGlyphControlsVisibility();
+            applyGlyphInputs();
+            scheduleUpdate();
+        });
+    });
+    ["glyphText", "glyphPath"].forEach(id => {
+        document.getElementById(id).addEventListener("change", function() {
+            applyGlyphInputs();
+            scheduleUpdate();
+        });
+    });
+
+    const fileInput = document.getElementById("glyphFile");
+    document.getElementById("chooseGlyphFile").addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async function() {
+        const file = this.files[0];
+        this.value = "";
+        if (!file) return;
+        try {
+            document.getElementById("glyphPath").value = svgFileToPathData(await file.text());
+        } catch (error) {
+            console.error("Failed to read glyph:", error);
+            alert(`Could not read "${file.name}": ${error.message}`);
+            return;
+        }
+        applyGlyphInputs();
+        scheduleUpdate();
+    });
 }
 
-// Partition dots into land (grouped by country color) and ocean.
-function partitionDots(dotsData) {
+// Partition dots into land (grouped by country color), muted context land
+// (highlight crops) and ocean, so each color is one canvas fill() / one SVG
+// <path>. With a gradient or a colored halftone, land (and optionally ocean)
+// dots take the quantized color at their coords; country overrides still win
+// on land. A glow fade turns ocean colors into rgba() steps. `sizeOf(d, base,
+// ocean)` gives each dot's radius, scaled by halftone, coast glow / taper and
+// the border gap (rounded to keep the SVG export compact); a radius of 0 means
+// the dot isn't drawn, and dots a fade or border gap removes aren't
+// partitioned at all.
+function partitionDots(dotsData, { oceanColor, gradient, halftone, distance, borderGap }) {
     const landByColor = new Map();
-    const oceanDots = [];
+    const oceanByColor = new Map();
+    const contextDots = [];
+    const tone = halftone ? halftoneValueFn(halftone) : null;
+    const toneBands = halftone && halftone.mode !== "size" ? interpolatorBands(halftone.interpolator) : null;
+    const gradientAt = gradient ? gradientColorFn(gradient) : null;
+    const colorAt = toneBands
+        ? coords => toneBands[Math.round(tone(coords) * (GRADIENT_STEPS - 1))]
+        : gradientAt;
+    const oceanColorAt = toneBands ? (halftone.ocean ? colorAt : null) : (gradient && gradient.ocean ? gradientAt : null);
+    const add = (groups, color, d) => {
+        let arr = groups.get(color);
+        if (!arr) { arr = []; groups.set(color, arr); }
+        arr.push(d);
+    };
+    // A glow fade turns the ocean color into an rgba() per opacity step; fully
+    // faded dots are dropped.
+    const fades = distance && (distance.glow === "fade" || distance.glow === "both");
+    const fadedColors = new Map();
+    const fade = (color, alpha) => {
+        if (alpha >= 1) return color;
+        const key = `${color}|${alpha}`;
+        let faded = fadedColors.get(key);
+        if (!faded) {
+            faded = d3.color(color).copy({ opacity: alpha }).toString();
+            fadedColors.set(key, faded);
+        }
+        return faded;
+    };
+    // Border gap factors below 1, per land dot; dots a gap removes are skipped.
+    const gapScales = new Map();
     for (const d of dotsData) {
-        if (d.countryName) {
-            const color = countryColors.get(d.countryName) || OCEAN_DOT_COLOR;
-            let arr = landByColor.get(color);
-            if (!arr) { arr = []; landByColor.set(color, arr); }
-            arr.push(d);
+        if (d.context) {
+            contextDots.push(d);
+        } else if (d.countryName) {
+            if (borderGap) {
+                const scale = borderGapScale(d, borderGap, currentProjection);
+                if (scale <= 0) continue;
+                if (scale < 1) gapScales.set(d, scale);
+            }
+            const color = colorAt
+                ? (colorOverrides.get(d.countryName) || colorAt(d.coords))
+                : (countryColors.get(d.countryName) || OCEAN_DOT_COLOR);
+            add(landByColor, color, d);
         } else {
-            oceanDots.push(d);
+            const color = oceanColorAt ? oceanColorAt(d.coords) : oceanColor;
+            if (fades) {
+                const alpha = Math.round(glowStrength(d, distance) * FADE_STEPS) / FADE_STEPS;
+                if (alpha > 0) add(oceanByColor, fade(color, alpha), d);
+            } else {
+                add(oceanByColor, color, d);
+            }
         }
     }
-    return { landByColor, oceanDots };
+    const sized = halftone && halftone.mode !== "color";
+    const shrinksOcean = distance && (distance.glow === "shrink" || distance.glow === "both");
+    const tapersLand = distance && distance.taper !== "none";
+    const sizeOf = (d, base, ocean) => {
+        let scale = 1;
+        if (sized && (!ocean || halftone.ocean)) {
+            scale *= halftone.minScale + (1 - halftone.minScale) * tone(d.coords);
+        }
+        if (ocean ? shrinksOcean : tapersLand) {
+            scale *= ocean ? glowStrength(d, distance) : taperScale(d, distance);
+        }
+        if (!ocean && gapScales.has(d)) scale *= gapScales.get(d);
+        return scale === 1 ? base : Math.round(base * scale * 100) / 100;
+    };
+    return { landByColor, oceanByColor, contextDots, sizeOf };
 }
 
 function drawDots(dotsData, style) {
-    const { landShape, landSize, oceanShape, oceanSize, oceanColor, enableHover } = style;
+    const { landShape, landSize, oceanShape, oceanSize, contextColor, contextSize, contextOpacity, glyph, strokeWidth, enableHover } = style;
 
     const svg = d3.select("#map");
     const mainGroup = svg.select("g"); // Assume main group exists
@@ -363,6 +2676,7 @@ function drawDots(dotsData, style) {
     mainGroup.select(".dots-group").remove();
     svg.on("mousemove.dots", null).on("mouseleave.dots", null);
 
+    lastDotQuadtree = null;
     if (!dotsData || dotsData.length === 0) {
         lastDotsData = null;
         return;
@@ -373,55 +2687,101 @@ function drawDots(dotsData, style) {
 
     const dotsGroup = mainGroup.append("g").attr("class", "dots-group");
 
-    // Performance: rasterize all dots to a canvas at render resolution and embed
-    // the result as a SINGLE <image>. The browser then paints one image no matter
-    // how many dots there are, which is what makes massive dot counts smooth.
-    // (Hit-testing/hover is handled separately via the quadtree below.)
+    // Performance: rasterize the dots to a canvas at render resolution and
+    // embed the result as an <image>, one per layer (land incl. context, then
+    // ocean). The browser then paints a couple of images no matter how many
+    // dots there are, which is what makes massive dot counts smooth.
+    // (Hit-testing/hover is handled separately via the quadtree below.) Each
+    // layer's opacity and blend mode sit on its <image>, exactly as the SVG
+    // export puts them on the matching <g>, so live view and exports composite
+    // the same way.
     const { width, height } = getRenderDimensions();
+    const { landByColor, oceanByColor, contextDots, sizeOf } = partitionDots(dotsData, style);
+
+    // One Path2D per color, filled (or, for outline dots, stroked) once, so
+    // overlapping dots of a batch don't compound alpha; then the layer's
+    // stroke, if any. Text glyphs are painted per dot. Halftone-sized dots
+    // that shrink to nothing are skipped.
+    const paint = (ctx, dots, shape, sizeFor, color, layer, alpha = 1) => {
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = strokeWidth;
+        if (shape === "custom" && glyph.type === "text") {
+            drawTextGlyphs(ctx, glyph, dots, sizeFor, strokeWidth);
+            if (layer && layerStroked(layer, strokeWidth)) {
+                ctx.strokeStyle = layer.strokeColor;
+                ctx.lineWidth = layer.strokeWidth;
+                drawTextGlyphs(ctx, glyph, dots, sizeFor, layer.strokeWidth);
+            }
+        } else {
+            const path = new Path2D();
+            for (const d of dots) {
+                const r = sizeFor(d);
+                if (r > 0) addShapePath(path, shape, d.x, d.y, r, glyph);
+            }
+            if (strokeWidth > 0) ctx.stroke(path);
+            else ctx.fill(path);
+            if (layer && layerStroked(layer, strokeWidth)) {
+                ctx.strokeStyle = layer.strokeColor;
+                ctx.lineWidth = layer.strokeWidth;
+                ctx.stroke(path);
+            }
+        }
+        ctx.globalAlpha = 1;
+    };
 
-    const canvas = document.createElement("canvas");
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext("2d");
-
-    const { landByColor, oceanDots } = partitionDots(dotsData);
+    const addLayer = (name, layer, draw) => {
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        draw(canvas.getContext("2d"));
+
+        // Data URL (not a blob URL) so the embedded raster travels with the
+        // SVG when it's serialized for download.
+        const dataUrl = canvas.toDataURL("image/png");
+        dotsGroup.append("image")
+            .attr("class", `dots-layer dots-layer--${name}`)
+            .attr("href", dataUrl)
+            .attr("xlink:href", dataUrl) // compatibility for SVG-as-<img> PNG export
+            .attr("x", 0)
+            .attr("y", 0)
+            .attr("width", width)
+            .attr("height", height)
+            .attr("preserveAspectRatio", "none")
+            .attr("opacity", layer.opacity < 1 ? layer.opacity : null)
+            .style("mix-blend-mode", style.blendMode !== "normal" ? style.blendMode : null)
+            .attr("pointer-events", "none");
+    };
 
-    // Land: one fillStyle + fill() per country color. Ocean: a single fill.
-    landByColor.forEach((dots, color) => {
-        ctx.beginPath();
-        for (const d of dots) addShapePath(ctx, landShape, d.x, d.y, landSize);
-        ctx.fillStyle = color;
-        ctx.fill();
-    });
-    if (oceanDots.length) {
-        ctx.beginPath();
-        for (const d of oceanDots) addShapePath(ctx, oceanShape, d.x, d.y, oceanSize);
-        ctx.fillStyle = oceanColor;
-        ctx.fill();
-    }
-
-    // Data URL (not a blob URL) so the embedded raster travels with the SVG when
-    // it's serialized for download.
-    const dataUrl = canvas.toDataURL("image/png");
-
-    dotsGroup.append("image")
-        .attr("href", dataUrl)
-        .attr("xlink:href", dataUrl) // compatibility for SVG-as-<img> PNG export
-        .attr("x", 0)
-        .attr("y", 0)
-        .attr("width", width)
-        .attr("height", height)
-        .attr("preserveAspectRatio", "none")
-        .attr("opacity", 0.8)
-        .attr("pointer-events", "none");
+    // Land: the muted context batch (highlight crops) under one batch per
+    // country color. Ocean: a single batch (one per gradient band when the
+    // gradient covers the ocean too).
+    if (contextDots.length || landByColor.size) {
+        addLayer("land", style.land, ctx => {
+            if (contextDots.length) {
+                paint(ctx, contextDots, landShape, () => contextSize, contextColor, null, contextOpacity);
+            }
+            landByColor.forEach((dots, color) => {
+                paint(ctx, dots, landShape, d => sizeOf(d, landSize, false), color, style.land);
+            });
+        });
+    }
+    if (oceanByColor.size) {
+        addLayer("ocean", style.ocean, ctx => {
+            oceanByColor.forEach((dots, color) => {
+                paint(ctx, dots, oceanShape, d => sizeOf(d, oceanSize, true), color, style.ocean);
+            });
+        });
+    }
 
     if (enableHover) {
-        setupDotHover(svg, dotsGroup, dotsData, landSize, oceanSize);
+        setupDotHover(svg, dotsGroup, dotsData, style);
     }
 }
 
 // A single delegated mousemove handler + quadtree replaces per-dot listeners.
-function setupDotHover(svg, dotsGroup, dotsData, landSize, oceanSize) {
+function setupDotHover(svg, dotsGroup, dotsData, { landSize, oceanSize, contextSize }) {
     let tooltip = d3.select("body").select(".dot-tooltip");
     if (tooltip.empty()) {
         tooltip = d3.select("body").append("div")
@@ -446,6 +2806,8 @@ function setupDotHover(svg, dotsGroup, dotsData, landSize, oceanSize) {
         .style("pointer-events", "none");
 
     const searchRadius = Math.max(landSize, oceanSize, 4) * 2;
+    lastDotQuadtree = quadtree;
+    lastDotSearchRadius = searchRadius;
 
     svg.on("mousemove.dots", function(event) {
         // d3.pointer maps the screen event into the SVG's viewBox coordinate
@@ -475,7 +2837,7 @@ function setupDotHover(svg, dotsGroup, dotsData, landSize, oceanSize) {
         highlight
             .attr("cx", found.x)
             .attr("cy", found.y)
-            .attr("r", (found.countryName ? landSize : oceanSize) + 1)
+            .attr("r", (found.context ? contextSize : found.countryName ? landSize : oceanSize) + 1)
             .style("visibility", "visible");
     });
 
@@ -487,6 +2849,7 @@ function setupDotHover(svg, dotsGroup, dotsData, landSize, oceanSize) {
 
 function updateMap() {
     if (world.features.length === 0) return; // Not ready yet
+    if (datasetLoading) return; // re-rendered once the new data is in
 
     // Use fixed rendering dimensions for deterministic output
     const { width, height } = getRenderDimensions();
@@ -495,6 +2858,9 @@ function updateMap() {
     const projectionName = document.getElementById("projection").value;
     const spacing = parseInt(document.getElementById("spacing").value);
     const packing = document.getElementById("packing").value;
+    const randomPacking = packing === "jitter" || packing === "poisson";
+    const packingSeed = randomPacking ? Math.round(numberInput("packingSeed", 1)) : 0;
+    const minDistance = randomPacking ? Math.max(0, numberInput("minDistance", 0)) : 0;
     const dotSize = parseInt(document.getElementById("dotSize").value);
     const landDotShape = document.getElementById("landDotShape").value;
     const oceanDotShape = document.getElementById("oceanDotShape").value;
@@ -507,16 +2873,36 @@ function updateMap() {
     const showGraticules = document.getElementById("showGraticules").checked;
     const showOceanDots = document.getElementById("showOceanDots").checked;
     const enableHover = document.getElementById("enableHover").checked;
+    const projectionOptions = getProjectionOptions(projectionName);
 
     // Determine the active crop region (null = whole world). Borders, dots and
     // the projection fit are all derived from the same selection so they align.
     const selection = getRegionSelection();
-    const fitGeometry = selection ? { type: "FeatureCollection", features: selection.features } : null;
+
+    // The world atlas comes in three resolutions; load a different one first
+    // if the current crop / render size calls for it. updateMap runs again
+    // once it's in.
+    if (activeDataset.name === "world") {
+        const resolution = chooseResolution(selection, width, height);
+        if (resolution !== activeDataset.resolution) {
+            switchResolution(resolution);
+            return;
+        }
+    }
+
+    const fitGeometry = selection
+        ? (selection.shape || { type: "FeatureCollection", features: selection.features })
+        : (activeDataset.fitToData ? { type: "FeatureCollection", features: world.features } : null);
     const featuresToDraw = selection ? selection.features : world.features;
     const regionKey = selection ? selection.key : "world";
+    // "highlight" keeps unselected countries as muted context around the
+    // selection instead of cutting them away.
+    const cropStyle = document.getElementById("cropStyle").value;
+    const highlight = !!selection && cropStyle === "highlight";
 
     // Generate colors
     countryColors = generateCountryColors(world.features);
+    updateCvdWarning(selection);
 
     const showBg = document.getElementById("showBg").checked;
     const bgColor = document.getElementById("bgColor").value;
@@ -536,17 +2922,32 @@ function updateMap() {
             .attr("fill", bgColor);
     }
 
-    currentProjection = setupProjection(projectionName, width, height, fitGeometry);
+    currentProjection = setupProjection(projectionName, width, height, fitGeometry, projectionOptions);
     path = d3.geoPath(currentProjection);
 
     const clipId = "projection-clip";
     const outline = getProjectionOutline();
     
+    // Bound as datum (rather than a one-off "d") so a drag-rotate preview can
+    // re-project it along with the other vector layers.
     svg.append("defs")
         .append("clipPath")
         .attr("id", clipId)
         .append("path")
-        .attr("d", path(outline));
+        .datum(outline)
+        .attr("d", path);
+
+    // Shape crops also trim the land layer to the box / circle, so countries
+    // that only partly overlap it are cut at the crop edge.
+    const regionClipId = "region-clip";
+    if (selection && selection.shape) {
+        svg.select("defs")
+            .append("clipPath")
+            .attr("id", regionClipId)
+            .append("path")
+            .datum(selection.shape)
+            .attr("d", path);
+    }
 
     const mainGroup = svg.append("g")
         .attr("clip-path", `url(#${clipId})`);
@@ -569,8 +2970,23 @@ function updateMap() {
             .attr("stroke-dasharray", "2,2");
     }
 
+    if (showCountries && highlight) {
+        const selected = new Set(selection.features);
+        mainGroup.append("g")
+            .attr("class", "context-land")
+            .selectAll("path")
+            .data(world.features.filter(f => !selected.has(f) || selection.shape))
+            .enter()
+            .append("path")
+            .attr("d", path)
+            .attr("fill", "#f2f2f2")
+            .attr("stroke", "#ccc")
+            .attr("stroke-width", 0.5);
+    }
+
     if (showCountries) {
         mainGroup.append("g")
+            .attr("clip-path", selection && selection.shape ? `url(#${regionClipId})` : null)
             .selectAll("path")
             .data(featuresToDraw)
             .enter()
@@ -590,13 +3006,23 @@ function updateMap() {
             .attr("stroke-width", 1);
     }
 
+    if (document.getElementById("colorScheme").value === "data" && document.getElementById("showLegend").checked) {
+        drawLegend(svg, width, height);
+    }
+
     if (showDots || showOceanDots) {
+        const distance = getDistanceStyle();
+        const borderGap = getBorderGap();
         calculateDotsOptimized({
+            dataset: activeDataset.key,
+            fitToData: activeDataset.fitToData,
             width,
             height,
             projectionName,
             spacing,
             packing,
+            packingSeed,
+            minDistance,
             showLandDots: showDots,
             showOceanDots,
             dotSize,
@@ -606,7 +3032,26 @@ function updateMap() {
             oceanDotColor,
             enableHover,
             selectedIndices: selection ? selection.indices : null,
-            region: regionKey
+            cropShape: selection && selection.shape ? selection.shape : null,
+            cropStyle: highlight ? "highlight" : "crop",
+            contextColor: document.getElementById("contextColor").value,
+            contextSize: parseFloat(document.getElementById("contextSize").value) || dotSize,
+            contextOpacity: Math.max(0, Math.min(1, parseFloat(document.getElementById("contextOpacity").value))),
+            region: regionKey,
+            projectionOptions,
+            gradient: getDotGradient(),
+            halftone: getHalftone(),
+            glyph: customGlyph,
+            strokeWidth: document.getElementById("dotStrokeOnly").checked
+                ? Math.max(0.1, numberInput("dotStrokeWidth", 1))
+                : 0,
+            distance,
+            coastDistance: !!distance && ((showDots && distance.taper !== "none") || (showOceanDots && distance.glow !== "none")),
+            borderDistance: showDots && (!!borderGap || (!!distance && distance.taper === "edges")),
+            borderGap,
+            landLayer: getDotLayerStyle("land"),
+            oceanLayer: getDotLayerStyle("ocean"),
+            blendMode: document.getElementById("dotBlendMode").value
         });
     } else {
         // No dots on screen — make sure the SVG export doesn't emit a stale layer.
@@ -628,6 +3073,18 @@ async function calculateDotsOptimized(params) {
         oceanShape: params.oceanDotShape,
         oceanSize: params.oceanDotSize,
         oceanColor: params.oceanDotColor,
+        contextColor: params.contextColor,
+        contextSize: params.contextSize,
+        contextOpacity: isNaN(params.contextOpacity) ? 0.5 : params.contextOpacity,
+        gradient: params.gradient,
+        halftone: params.halftone,
+        distance: params.distance,
+        borderGap: params.borderGap,
+        glyph: params.glyph,
+        strokeWidth: params.strokeWidth,
+        land: params.landLayer,
+        ocean: params.oceanLayer,
+        blendMode: params.blendMode || "normal",
         enableHover: params.enableHover
     };
 
@@ -647,10 +3104,19 @@ async function calculateDotsOptimized(params) {
     try {
         const startTime = performance.now();
 
+        // Style-only settings stay on the main thread: the workers only place
+        // dots, and some of it (a path glyph's Path2D) can't be posted at all.
+        const { gradient, halftone, distance, borderGap, glyph, landLayer, oceanLayer, ...dotParams } = params;
+
         // Use parallel workers
-        const result = await workerPool.calculateDotsParallel(params, (progress) => {
+        const result = await workerPool.calculateDotsParallel(dotParams, (progress) => {
             setStatus(`Rendering map… ${progress}%`);
         });
+        if (!result) {
+            // The dataset switched mid-render; the finally block renders again.
+            pendingUpdate = true;
+            return;
+        }
 
         const endTime = performance.now();
         const calculationTime = (endTime - startTime).toFixed(0);
@@ -731,20 +3197,100 @@ async function loadPrerenderedSVG() {
 }
 
 // Show/hide the scheme-specific controls (base color for monotone, seed for
-// rainbow) based on the active color scheme.
+// the seeded schemes) based on the active color scheme.
 function updateColorControlsVisibility() {
     const scheme = document.getElementById("colorScheme").value;
     const monotone = document.getElementById("monotoneControls");
     const rainbow = document.getElementById("rainbowControls");
     if (monotone) monotone.style.display = scheme === "monotone" ? "flex" : "none";
-    if (rainbow) rainbow.style.display = scheme === "rainbow" ? "flex" : "none";
+    const seeded = ["rainbow", "palette", "political", "continent", "bloc", "monotone"].includes(scheme);
+    if (rainbow) rainbow.style.display = seeded ? "flex" : "none";
+    const group = document.getElementById("groupControls");
+    const blocs = document.getElementById("colorBlocsWrap");
+    if (group) group.style.display = scheme === "continent" || scheme === "bloc" ? "flex" : "none";
+    if (blocs) blocs.style.display = scheme === "bloc" ? "flex" : "none";
+    const paletteSize = document.getElementById("paletteSizeWrap");
+    const toned = scheme === "monotone" && document.getElementById("monotoneNeighbours").checked;
+    if (paletteSize) paletteSize.style.display = scheme === "political" || toned ? "flex" : "none";
+    const gradient = document.getElementById("gradientControls");
+    if (gradient) gradient.style.display = scheme === "gradient" ? "flex" : "none";
+    const palette = document.getElementById("paletteControls");
+    if (palette) palette.style.display = scheme === "palette" ? "flex" : "none";
+    const data = document.getElementById("dataControls");
+    if (data) data.style.display = scheme === "data" ? "flex" : "none";
 }
 
-// Show the ocean-dot styling block only when ocean dots are enabled.
+// Show the ocean-dot styling block only when ocean dots are enabled, and the
+// seed / min distance only for the random packings.
 function updateDotControlsVisibility() {
     const on = document.getElementById("showOceanDots").checked;
     const block = document.getElementById("oceanDotStyle");
     if (block) block.style.display = on ? "" : "none";
+    const packing = document.getElementById("packing").value;
+    const random = document.getElementById("packingRandomWrap");
+    if (random) random.style.display = packing === "jitter" || packing === "poisson" ? "" : "none";
+    const minDistance = document.getElementById("minDistance");
+    if (minDistance) minDistance.placeholder = packing === "poisson" ? "= spacing" : "0";
+}
+
+// Wrap a longitude into [-180, 180) so repeated drags don't grow without bound.
+function wrapLongitude(lon) {
+    return ((lon + 180) % 360 + 360) % 360 - 180;
+}
+
+function setRotationInputs([lambda, phi, gamma]) {
+    const round = v => Math.round(v * 10) / 10;
+    document.getElementById("rotateLambda").value = round(wrapLongitude(lambda));
+    document.getElementById("rotatePhi").value = round(Math.max(-90, Math.min(90, phi)));
+    document.getElementById("rotateGamma").value = round(gamma);
+}
+
+// Cheap live feedback while dragging: re-project the vector layers (outline,
+// clip, graticule, land shapes) with the new rotation and hide the dot raster,
+// which is recomputed by the workers once the drag ends.
+function previewRotation(rotate) {
+    if (!currentProjection || !path) return;
+    currentProjection.rotate(addRotation(baseRotation, rotate));
+    const svg = d3.select("#map");
+    svg.select(".dots-group").style("visibility", "hidden");
+    svg.selectAll("path")
+        .filter(function() { return this.__data__ !== undefined; })
+        .attr("d", path);
+}
+
+// Drag on the map to rotate the globe. Horizontal drag spins λ, vertical tilts
+// φ; the pixel -> degree factor comes from the projection scale so the surface
+// roughly tracks the pointer whatever the zoom.
+function setupDragRotate() {
+    const svg = d3.select("#map");
+    let start = null;
+
+    svg.call(d3.drag()
+        // Measure in the SVG's own viewBox space (render pixels), the same
+        // space the projection scale is expressed in.
+        .container(function() { return this; })
+        .on("start", function(event) {
+            if (!currentProjection) return;
+            start = { x: event.x, y: event.y, rotate: getRotation(), k: 180 / (Math.PI * currentProjection.scale()) };
+            svg.classed("is-rotating", true);
+        })
+        .on("drag", function(event) {
+            if (!start) return;
+            const [lambda, phi, gamma] = start.rotate;
+            setRotationInputs([
+                lambda + (event.x - start.x) * start.k,
+                phi - (event.y - start.y) * start.k,
+                gamma
+            ]);
+            previewRotation(getRotation());
+        })
+        .on("end", function() {
+            if (!start) return;
+            const moved = getRotation().some((v, i) => v !== start.rotate[i]);
+            start = null;
+            svg.classed("is-rotating", false);
+            if (moved) scheduleUpdate();
+        }));
 }
 
 // Wire every setting so changing it re-renders automatically.
@@ -752,21 +3298,38 @@ function setupAutoUpdate() {
     // Numbers/colors fire on commit (blur/enter/picker close) rather than per
     // keystroke; selects and checkboxes fire on change.
     const autoUpdateIds = [
-        "projection", "renderWidth", "renderHeight", "spacing", "packing", "dotSize",
+        "projection", "renderWidth", "renderHeight", "spacing", "packing", "packingSeed", "minDistance", "dotSize", "dotStrokeWidth", "dotBlendMode",
+        "landOpacity", "landStrokeColor", "landStrokeWidth", "oceanOpacity", "oceanStrokeColor", "oceanStrokeWidth",
         "landDotShape", "oceanDotShape", "oceanDotSize", "oceanDotColor",
-        "showBg", "bgColor", "baseColor", "rainbowSeed", "showDots", "showOceanDots", "showCountries",
-        "showOcean", "showOutline", "showGraticules", "enableHover"
+        "showBg", "bgColor", "baseColor", "rainbowSeed", "paletteSize", "colorBlocs", "groupOtherColor",
+        "gradientInterpolator", "gradientFrom", "gradientTo", "gradientLon", "gradientLat", "gradientReverse", "gradientOcean", "cvdMinDistance", "monotoneLightness", "monotoneChroma",
+        "halftoneMin", "halftoneGamma", "halftoneInterpolator", "halftoneInvert", "halftoneOcean",
+        "oceanGlow", "oceanGlowReach", "landTaper", "landTaperWidth", "borderGap", "borderGapUnit", "borderGapMode", "showDots", "showOceanDots", "showCountries",
+        "showOcean", "showOutline", "showGraticules", "enableHover",
+        "rotateLambda", "rotatePhi", "rotateGamma", "cropStyle", "contextColor", "contextSize", "contextOpacity",
+        "projParallel1", "projParallel2", "projClipAngle", "projCenterLon", "projCenterLat",
+        "projPrecision", "projReflectX", "projReflectY"
     ];
     autoUpdateIds.forEach(id => {
         const el = document.getElementById(id);
         if (el) el.addEventListener("change", scheduleUpdate);
     });
 
-    const oceanDotsToggle = document.getElementById("showOceanDots");
-    if (oceanDotsToggle) {
-        oceanDotsToggle.addEventListener("change", updateDotControlsVisibility);
+    // Switching projection resets the parameter panel to that projection's
+    // defaults before the (already wired) re-render picks them up.
+    const projectionSelect = document.getElementById("projection");
+    if (projectionSelect) {
+        projectionSelect.addEventListener("change", function() {
+            applyProjectionDefaults();
+            updateProjectionParamsVisibility();
+        });
     }
 
+    ["showOceanDots", "packing"].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener("change", updateDotControlsVisibility);
+    });
+
     const showBgToggle = document.getElementById("showBg");
     if (showBgToggle) {
         showBgToggle.addEventListener("change", function() {
@@ -775,13 +3338,14 @@ function setupAutoUpdate() {
         });
     }
 
-    const colorScheme = document.getElementById("colorScheme");
-    if (colorScheme) {
-        colorScheme.addEventListener("change", function() {
+    ["colorScheme", "monotoneNeighbours"].forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.addEventListener("change", function() {
             updateColorControlsVisibility();
             scheduleUpdate();
         });
-    }
+    });
 
     const regionType = document.getElementById("regionType");
     if (regionType) {
@@ -790,11 +3354,32 @@ function setupAutoUpdate() {
             scheduleUpdate();
         });
     }
+    const cropStyle = document.getElementById("cropStyle");
+    if (cropStyle) cropStyle.addEventListener("change", updateCropStyleVisibility);
+
     const regionChoice = document.getElementById("regionChoice");
     if (regionChoice) {
-        regionChoice.addEventListener("change", scheduleUpdate);
+        regionChoice.addEventListener("change", function() {
+            updateHemisphereControlsVisibility();
+            scheduleUpdate();
+        });
+    }
+    ["bboxWest", "bboxEast", "bboxSouth", "bboxNorth", "radiusLon", "radiusLat", "radiusKm", "hemisphereMeridian",
+        "neighbourDepth", "neighbourKm"].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener("change", scheduleUpdate);
+    });
+
+    const resetRotation = document.getElementById("resetRotation");
+    if (resetRotation) {
+        resetRotation.addEventListener("click", function() {
+            setRotationInputs([0, 0, 0]);
+            scheduleUpdate();
+        });
     }
 
+    setupDragRotate();
+
     const randomizeSeed = document.getElementById("randomizeSeed");
     if (randomizeSeed) {
         randomizeSeed.addEventListener("click", function() {
@@ -811,23 +3396,27 @@ async function initializeApplication() {
         // Load prerendered SVG for initial display
         await loadPrerenderedSVG();
 
-        // Load world data
-        const topology = await d3.json("https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json");
-
         // Initialize worker pool
         const numWorkers = Math.min(navigator.hardwareConcurrency || 4, 6);
         workerPool = new WorkerPool(numWorkers);
 
-        // Initialize workers with world data
-        const initData = await workerPool.init(topology);
-        world.features = initData.features;
-        countryNeighbors = initData.neighbors || [];
-        console.log("Workers initialized with world data");
-
-        // Populate region crop choices now that we have the country list
-        populateRegionChoices();
+        // Load world data into the workers (also populates the region crop
+        // choices now that we have the country list)
+        await loadBuiltInDataset("world", initialResolution());
+        setupCustomRegions();
+        setupDatasetControls();
+        setupChoroplethControls();
+        setupPaletteControls();
+        setupGradientControls();
+        setupHalftoneControls();
+        setupDistanceControls();
+        setupGlyphControls();
+        setupColorOverrides();
+        setupCvdControls();
 
         // Settings now drive the map automatically
+        applyProjectionDefaults();
+        updateProjectionParamsVisibility();
         updateColorControlsVisibility();
         updateDotControlsVisibility();
         setupAutoUpdate();
@@ -864,31 +3453,132 @@ function replaceRasterDotsWithVectors(svgClone) {
     const dotsGroup = svgClone.querySelector('.dots-group');
     if (!dotsGroup || !lastDotsData || lastDotsData.length === 0 || !lastDotStyle) return;
 
-    // Drop the raster image (and any leftover hover highlight).
+    // Drop the raster images (and any leftover hover highlight).
     while (dotsGroup.firstChild) dotsGroup.removeChild(dotsGroup.firstChild);
 
-    // One group-level opacity matches the live image's 0.8 (and avoids
-    // double-blending where dots of different colors overlap).
-    dotsGroup.setAttribute('opacity', '0.8');
-
-    const { landShape, landSize, oceanShape, oceanSize, oceanColor } = lastDotStyle;
+    const { landShape, landSize, oceanShape, oceanSize, contextColor, contextSize, contextOpacity, glyph, strokeWidth } = lastDotStyle;
     const svgNS = 'http://www.w3.org/2000/svg';
 
-    // Land: one <path> per country color, in its shape/size. Ocean: one path.
-    const { landByColor, oceanDots } = partitionDots(lastDotsData);
+    // Land: one <path> per country color (or gradient band), in its
+    // shape/size. Ocean likewise. Context dots (highlight crops) come first,
+    // like on the canvas.
+    const { landByColor, oceanByColor, contextDots, sizeOf } = partitionDots(lastDotsData, lastDotStyle);
+
+    // Outline dots stroke instead of fill. Faded (rgba) colors are written as
+    // hex plus fill/stroke-opacity, which every SVG editor understands.
+    const setPaint = (el, color) => {
+        const c = d3.color(color);
+        const paint = c && c.opacity < 1 ? c.formatHex() : color;
+        const paintOpacity = c && c.opacity < 1 ? +c.opacity.toFixed(4) : null;
+        if (strokeWidth > 0) {
+            el.setAttribute('fill', 'none');
+            el.setAttribute('stroke', paint);
+            el.setAttribute('stroke-width', strokeWidth);
+            if (paintOpacity !== null) el.setAttribute('stroke-opacity', paintOpacity);
+        } else {
+            el.setAttribute('fill', paint);
+            if (paintOpacity !== null) el.setAttribute('fill-opacity', paintOpacity);
+        }
+    };
+
+    // A custom glyph is defined once as a <symbol> and placed per dot with
+    // <use>, instead of repeating its path data for every dot.
+    let symbolId = null;
+    const glyphSymbol = () => {
+        if (symbolId) return symbolId;
+        symbolId = 'dot-glyph';
+        let defs = svgClone.querySelector('defs');
+        if (!defs) {
+            defs = document.createElementNS(svgNS, 'defs');
+            svgClone.insertBefore(defs, svgClone.firstChild);
+        }
+        const symbol = document.createElementNS(svgNS, 'symbol');
+        symbol.setAttribute('id', symbolId);
+        symbol.setAttribute('overflow', 'visible');
+        let shape;
+        if (glyph.type === 'text') {
+            symbol.setAttribute('viewBox', '-50 -50 100 100');
+            shape = document.createElementNS(svgNS, 'text');
+            shape.setAttribute('font-size', '100');
+            shape.setAttribute('font-family', GLYPH_FONT);
+            shape.setAttribute('text-anchor', 'middle');
+            shape.setAttribute('y', +(100 * glyph.baseline).toFixed(2));
+            shape.textContent = glyph.text;
+        } else {
+            symbol.setAttribute('viewBox', `${glyph.cx - glyph.size / 2} ${glyph.cy - glyph.size / 2} ${glyph.size} ${glyph.size}`);
+            shape = document.createElementNS(svgNS, 'path');
+            shape.setAttribute('d', glyph.d);
+        }
+        // Keep outline widths in map pixels whatever size each <use> is.
+        shape.setAttribute('vector-effect', 'non-scaling-stroke');
+        symbol.appendChild(shape);
+        defs.appendChild(symbol);
+        return symbolId;
+    };
 
-    const addPath = (segs, color) => {
-        const path = document.createElementNS(svgNS, 'path');
-        path.setAttribute('d', segs.join(''));
-        path.setAttribute('fill', color);
-        dotsGroup.appendChild(path);
+    // Layer stroke over filled dots, as on the canvas.
+    const setLayerStroke = (el, layer) => {
+        if (!layer || !layerStroked(layer, strokeWidth)) return;
+        el.setAttribute('stroke', layer.strokeColor);
+        el.setAttribute('stroke-width', layer.strokeWidth);
     };
 
-    landByColor.forEach((dots, color) => {
-        addPath(dots.map(d => shapePathD(landShape, d.x, d.y, landSize)), color);
-    });
-    if (oceanDots.length) {
-        addPath(oceanDots.map(d => shapePathD(oceanShape, d.x, d.y, oceanSize)), oceanColor);
+    // One <g> per layer carrying the same opacity and blend mode as the live
+    // <image>, so the export composites exactly like the view.
+    const addLayerGroup = (name, layer) => {
+        const g = document.createElementNS(svgNS, 'g');
+        g.setAttribute('class', `dots-layer dots-layer--${name}`);
+        if (layer.opacity < 1) g.setAttribute('opacity', layer.opacity);
+        if (lastDotStyle.blendMode !== 'normal') g.setAttribute('style', `mix-blend-mode: ${lastDotStyle.blendMode}`);
+        dotsGroup.appendChild(g);
+        return g;
+    };
+
+    const addBatch = (target, dots, shape, sizeFor, color, layer, opacity) => {
+        let el;
+        if (shape === 'custom') {
+            const href = `#${glyphSymbol()}`;
+            el = document.createElementNS(svgNS, 'g');
+            for (const d of dots) {
+                const r = sizeFor(d);
+                if (!(r > 0)) continue;
+                const use = document.createElementNS(svgNS, 'use');
+                use.setAttribute('href', href);
+                use.setAttribute('x', +(d.x - r).toFixed(2));
+                use.setAttribute('y', +(d.y - r).toFixed(2));
+                use.setAttribute('width', +(2 * r).toFixed(2));
+                use.setAttribute('height', +(2 * r).toFixed(2));
+                el.appendChild(use);
+            }
+        } else {
+            const segs = [];
+            for (const d of dots) {
+                const r = sizeFor(d);
+                if (r > 0) segs.push(shapePathD(shape, d.x, d.y, r));
+            }
+            el = document.createElementNS(svgNS, 'path');
+            el.setAttribute('d', segs.join(''));
+        }
+        setPaint(el, color);
+        setLayerStroke(el, layer);
+        if (opacity !== undefined && opacity < 1) el.setAttribute('opacity', opacity);
+        target.appendChild(el);
+    };
+
+    if (contextDots.length || landByColor.size) {
+        const land = addLayerGroup('land', lastDotStyle.land);
+        if (contextDots.length) {
+            addBatch(land, contextDots, landShape, () => contextSize, contextColor, null, contextOpacity);
+        }
+        landByColor.forEach((dots, color) => {
+            addBatch(land, dots, landShape, d => sizeOf(d, landSize, false), color, lastDotStyle.land);
+        });
+    }
+    if (oceanByColor.size) {
+        const ocean = addLayerGroup('ocean', lastDotStyle.ocean);
+        oceanByColor.forEach((dots, color) => {
+            addBatch(ocean, dots, oceanShape, d => sizeOf(d, oceanSize, true), color, lastDotStyle.ocean);
+        });
     }
 }
 
@@ -993,6 +3683,16 @@ function loadImage(url) {
     });
 }
 
+// Precache everything for offline use (see sw.js). Service workers need a
+// secure context, so this is skipped when opened from file://.
+if ("serviceWorker" in navigator && window.isSecureContext) {
+    window.addEventListener("load", () => {
+        navigator.serviceWorker.register("sw.js").catch(error => {
+            console.warn("Service worker registration failed:", error);
+        });
+    });
+}
+
 // Start initialization - wait for DOM to be fully loaded
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializeApplication);
@@ -0,0 +1,7 @@
+// Limits shared by the page (index.js) and the dot workers (fast-worker.js),
+// which both load this file as a classic script.
+
+// Largest distance, in map pixels, the coast and border distance fields
+// measure. Workers pad each chunk's raster by this much; the panel caps glow
+// reach, taper width and the border gap at it.
+const DISTANCE_FIELD_MAX = 128;
@@ -1,7 +1,7 @@
 importScripts(
-    "https://cdnjs.cloudflare.com/ajax/libs/d3/7.9.0/d3.min.js",
-    "https://cdnjs.cloudflare.com/ajax/libs/topojson/3.0.2/topojson.min.js",
-    "https://cdn.jsdelivr.net/npm/d3-geo-projection@4"
+    "vendor/d3/d3.min.js",
+    "vendor/topojson/topojson.min.js",
+    "vendor/d3-geo-projection/d3-geo-projection.min.js"
 );
 
 let world;
@@ -0,0 +1,144 @@
+// Categorical palettes for the "palette" color scheme: the d3-scale-chromatic
+// sets plus a user palette typed / pasted as hex or imported from GIMP (.gpl),
+// Adobe (.ase) or JSON palette files. Loaded as a plain script (globals) after
+// d3 and before index.js.
+
+const CATEGORICAL_PALETTES = {
+    "Tableau10": d3.schemeTableau10,
+    "Observable10": d3.schemeObservable10,
+    "Category10": d3.schemeCategory10,
+    "Accent": d3.schemeAccent,
+    "Dark2": d3.schemeDark2,
+    "Paired": d3.schemePaired,
+    "Pastel1": d3.schemePastel1,
+    "Pastel2": d3.schemePastel2,
+    "Set1": d3.schemeSet1,
+    "Set2": d3.schemeSet2,
+    "Set3": d3.schemeSet3
+};
+
+// Sets that stay distinguishable with the common color vision deficiencies:
+// Okabe & Ito's qualitative set and evenly spaced samples of the viridis
+// family (monotonic in lightness, so they survive even achromatopsia).
+const CVD_SAFE_PALETTES = {
+    "Okabe-Ito": ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7", "#000000"],
+    "Viridis": d3.quantize(d3.interpolateViridis, 8).map(c => d3.color(c).formatHex()),
+    "Cividis": d3.quantize(d3.interpolateCividis, 8).map(c => d3.color(c).formatHex()),
+    "Magma": d3.quantize(d3.interpolateMagma, 8).map(c => d3.color(c).formatHex()),
+    "Inferno": d3.quantize(d3.interpolateInferno, 8).map(c => d3.color(c).formatHex()),
+    "Plasma": d3.quantize(d3.interpolatePlasma, 8).map(c => d3.color(c).formatHex())
+};
+
+// Normalise any CSS color to #rrggbb, or null if it doesn't parse.
+function toHexColor(value) {
+    const c = d3.color(String(value).trim());
+    return c ? c.formatHex() : null;
+}
+
+// Hex colors in free text: "#ff7a00, 1f77b4; #abc" — one per match, in order.
+function parseHexList(text) {
+    const matches = String(text).match(/#[0-9a-f]{6}\b|#[0-9a-f]{3}\b|\b[0-9a-f]{6}\b/gi) || [];
+    return matches.map(m => toHexColor(m.startsWith("#") ? m : `#${m}`)).filter(Boolean);
+}
+
+// GIMP / Inkscape .gpl: a "GIMP Palette" header, optional Name:/Columns:
+// lines and "#" comments, then one "R G B [name]" row per color.
+function parseGimpPalette(text) {
+    const colors = [];
+    for (const line of text.split(/\r?\n/)) {
+        const m = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})(\s|$)/);
+        if (m) colors.push(d3.rgb(+m[1], +m[2], +m[3]).formatHex());
+    }
+    return colors;
+}
+
+// Adobe Swatch Exchange (.ase): big-endian "ASEF" header, version, block
+// count, then blocks of { type, length, body }. Color entries (type 1) hold a
+// UTF-16 name, a 4-char color model and its float32 channels. Group start /
+// end blocks are skipped.
+function parseAsePalette(buffer) {
+    const view = new DataView(buffer);
+    const signature = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+    if (signature !== "ASEF") throw new Error("Not an Adobe Swatch Exchange file");
+
+    const blockCount = view.getUint32(8);
+    const colors = [];
+    let offset = 12;
+    for (let b = 0; b < blockCount && offset + 6 <= view.byteLength; b++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const body = offset + 6;
+        offset = body + length;
+        if (type !== 0x0001) continue;
+
+        const nameLength = view.getUint16(body); // UTF-16 code units incl. NUL
+        let p = body + 2 + nameLength * 2;
+        const model = String.fromCharCode(view.getUint8(p), view.getUint8(p + 1), view.getUint8(p + 2), view.getUint8(p + 3)).trim();
+        p += 4;
+        const channel = i => view.getFloat32(p + i * 4);
+
+        let color = null;
+        if (model === "RGB") {
+            color = d3.rgb(channel(0) * 255, channel(1) * 255, channel(2) * 255);
+        } else if (model === "CMYK") {
+            const k = channel(3);
+            color = d3.rgb(255 * (1 - channel(0)) * (1 - k), 255 * (1 - channel(1)) * (1 - k), 255 * (1 - channel(2)) * (1 - k));
+        } else if (model === "LAB") {
+            color = d3.lab(channel(0) * 100, channel(1), channel(2));
+        } else if (model === "Gray") {
+            color = d3.rgb(channel(0) * 255, channel(0) * 255, channel(0) * 255);
+        }
+        if (color) colors.push(d3.rgb(color).formatHex());
+    }
+    return colors;
+}
+
+// JSON palettes: ["#hex", ...], [{ hex | color | value }, ...], { colors: [...] }
+// or { name: "#hex", ... }.
+function parseJsonPalette(text) {
+    let data = JSON.parse(text);
+    if (data && !Array.isArray(data) && Array.isArray(data.colors)) data = data.colors;
+    const entries = Array.isArray(data) ? data : Object.values(data || {});
+    return entries
+        .map(entry => (entry && typeof entry === "object") ? (entry.hex || entry.color || entry.value) : entry)
+        .filter(value => value !== undefined && value !== null)
+        .map(toHexColor)
+        .filter(Boolean);
+}
+
+// Read a dropped / chosen palette file, picking the parser by extension (and
+// falling back to sniffing the content). Resolves to an array of #rrggbb.
+async function readPaletteFile(file) {
+    const ext = (file.name.split(".").pop() || "").toLowerCase();
+    let colors;
+    if (ext === "ase") {
+        colors = parseAsePalette(await file.arrayBuffer());
+    } else {
+        const text = await file.text();
+        if (ext === "gpl" || /^GIMP Palette/.test(text)) colors = parseGimpPalette(text);
+        else if (ext === "json" || /^\s*[[{]/.test(text)) colors = parseJsonPalette(text);
+        else colors = parseHexList(text);
+    }
+    if (!colors.length) throw new Error("No colors found");
+    return colors;
+}
+
+// The user palette persists in localStorage as a plain array of hex strings.
+const CUSTOM_PALETTE_KEY = "dotsmap.customPalette";
+
+function loadCustomPalette() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_PALETTE_KEY));
+        return Array.isArray(stored) ? stored.map(toHexColor).filter(Boolean) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveCustomPalette(colors) {
+    try {
+        localStorage.setItem(CUSTOM_PALETTE_KEY, JSON.stringify(colors));
+    } catch (e) {
+        console.warn("Could not save custom palette:", e);
+    }
+}
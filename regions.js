@@ -1,7 +1,7 @@
 // Country -> continent / political-bloc groupings for region cropping.
-// Keyed by the exact country names used in world-atlas countries-110m.json.
+// Keyed by the exact country names used in world-atlas countries-*.json.
 // Loaded as a plain script (globals) before index.js. Validated against the
-// dataset: every country maps to exactly one continent.
+// 110m, 50m and 10m datasets: every country maps to exactly one continent.
 
 const CONTINENTS = ["Africa","Asia","Europe","North America","South America","Oceania","Antarctica"];
 
@@ -182,7 +182,86 @@ const CONTINENT_BY_COUNTRY = {
     "Solomon Is.": "Oceania",
     "Vanuatu": "Oceania",
     "Antarctica": "Antarctica",
-    "Fr. S. Antarctic Lands": "Antarctica"
+    "Fr. S. Antarctic Lands": "Antarctica",
+    // Small states and territories that only exist in the 50m / 10m datasets.
+    "Cabo Verde": "Africa",
+    "Comoros": "Africa",
+    "Mauritius": "Africa",
+    "Saint Helena": "Africa",
+    "São Tomé and Principe": "Africa",
+    "Seychelles": "Africa",
+    "Akrotiri": "Asia",
+    "Bahrain": "Asia",
+    "Baikonur": "Asia",
+    "Br. Indian Ocean Ter.": "Asia",
+    "Cyprus U.N. Buffer Zone": "Asia",
+    "Dhekelia": "Asia",
+    "Hong Kong": "Asia",
+    "Indian Ocean Ter.": "Asia",
+    "Macao": "Asia",
+    "Maldives": "Asia",
+    "Scarborough Reef": "Asia",
+    "Siachen Glacier": "Asia",
+    "Singapore": "Asia",
+    "Spratly Is.": "Asia",
+    "Andorra": "Europe",
+    "Faeroe Is.": "Europe",
+    "Gibraltar": "Europe",
+    "Guernsey": "Europe",
+    "Isle of Man": "Europe",
+    "Jersey": "Europe",
+    "Liechtenstein": "Europe",
+    "Malta": "Europe",
+    "Monaco": "Europe",
+    "San Marino": "Europe",
+    "Vatican": "Europe",
+    "Åland": "Europe",
+    "Anguilla": "North America",
+    "Antigua and Barb.": "North America",
+    "Aruba": "North America",
+    "Bajo Nuevo Bank": "North America",
+    "Barbados": "North America",
+    "Bermuda": "North America",
+    "British Virgin Is.": "North America",
+    "Cayman Is.": "North America",
+    "Clipperton I.": "North America",
+    "Curaçao": "North America",
+    "Dominica": "North America",
+    "Grenada": "North America",
+    "Montserrat": "North America",
+    "Saint Lucia": "North America",
+    "Serranilla Bank": "North America",
+    "Sint Maarten": "North America",
+    "St-Barthélemy": "North America",
+    "St-Martin": "North America",
+    "St. Kitts and Nevis": "North America",
+    "St. Pierre and Miquelon": "North America",
+    "St. Vin. and Gren.": "North America",
+    "Turks and Caicos Is.": "North America",
+    "U.S. Virgin Is.": "North America",
+    "USNB Guantanamo Bay": "North America",
+    "S. Geo. and the Is.": "South America",
+    "American Samoa": "Oceania",
+    "Ashmore and Cartier Is.": "Oceania",
+    "Cook Is.": "Oceania",
+    "Coral Sea Is.": "Oceania",
+    "Fr. Polynesia": "Oceania",
+    "Guam": "Oceania",
+    "Kiribati": "Oceania",
+    "Marshall Is.": "Oceania",
+    "Micronesia": "Oceania",
+    "N. Mariana Is.": "Oceania",
+    "Nauru": "Oceania",
+    "Niue": "Oceania",
+    "Norfolk Island": "Oceania",
+    "Palau": "Oceania",
+    "Pitcairn Is.": "Oceania",
+    "Samoa": "Oceania",
+    "Tonga": "Oceania",
+    "Tuvalu": "Oceania",
+    "U.S. Minor Outlying Is.": "Oceania",
+    "Wallis and Futuna Is.": "Oceania",
+    "Heard I. and McDonald Is.": "Antarctica"
 };
 
 function continentOf(feature) {
@@ -385,6 +464,76 @@ const BLOCS = Object.keys(BLOC_MEMBERS);
 
 const _blocSetCache = {};
 function blocMembers(name) {
-    if (!_blocSetCache[name]) _blocSetCache[name] = new Set(BLOC_MEMBERS[name] || []);
+    if (!_blocSetCache[name]) _blocSetCache[name] = new Set(BLOC_MEMBERS[name] || CUSTOM_BLOC_MEMBERS[name] || []);
     return _blocSetCache[name];
 }
+
+// ---------- User-defined blocs ----------
+// Saved regions live in localStorage with the same { name: [country names] }
+// shape as BLOC_MEMBERS, so an exported file can be shared and imported as-is.
+
+const CUSTOM_BLOCS_KEY = "dotsmap.customBlocs";
+
+function loadCustomBlocs() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_BLOCS_KEY));
+        return isBlocMap(stored) ? stored : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+let CUSTOM_BLOC_MEMBERS = loadCustomBlocs();
+
+function isBlocMap(obj) {
+    return !!obj && typeof obj === "object" && !Array.isArray(obj) &&
+        Object.values(obj).every(v => Array.isArray(v) && v.every(n => typeof n === "string"));
+}
+
+function persistCustomBlocs() {
+    try {
+        localStorage.setItem(CUSTOM_BLOCS_KEY, JSON.stringify(CUSTOM_BLOC_MEMBERS));
+    } catch (e) {
+        console.warn("Could not save custom regions:", e);
+    }
+}
+
+function customBlocNames() {
+    return Object.keys(CUSTOM_BLOC_MEMBERS).sort((a, b) => a.localeCompare(b));
+}
+
+function isCustomBloc(name) {
+    return Object.prototype.hasOwnProperty.call(CUSTOM_BLOC_MEMBERS, name);
+}
+
+// Built-in bloc names are reserved so a saved region can never shadow one.
+function saveCustomBloc(name, members) {
+    if (!name || BLOC_MEMBERS[name]) return false;
+    CUSTOM_BLOC_MEMBERS[name] = [...new Set(members)];
+    delete _blocSetCache[name];
+    persistCustomBlocs();
+    return true;
+}
+
+function deleteCustomBloc(name) {
+    if (!isCustomBloc(name)) return false;
+    delete CUSTOM_BLOC_MEMBERS[name];
+    delete _blocSetCache[name];
+    persistCustomBlocs();
+    return true;
+}
+
+// Merge an imported { name: [countries] } map into the saved regions. Entries
+// named after a built-in bloc are skipped. Returns the number imported.
+function importCustomBlocs(obj) {
+    if (!isBlocMap(obj)) throw new Error("Expected an object of { name: [country names] }");
+    let count = 0;
+    for (const [name, members] of Object.entries(obj)) {
+        if (saveCustomBloc(name, members)) count++;
+    }
+    return count;
+}
+
+function exportCustomBlocs() {
+    return JSON.stringify(CUSTOM_BLOC_MEMBERS, null, 2);
+}
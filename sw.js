@@ -0,0 +1,57 @@
+// Service worker: precaches the app shell, worker scripts, vendored libraries
+// and bundled map data so the generator runs (and installs as a PWA) with no
+// network at all. Bump CACHE_VERSION whenever any precached file changes.
+const CACHE_VERSION = "dotsmap-v3";
+
+const PRECACHE_URLS = [
+    "./",
+    "index.html",
+    "style.css",
+    "index.js",
+    "limits.js",
+    "regions.js",
+    "iso-codes.js",
+    "palettes.js",
+    "worker-pool.js",
+    "fast-worker.js",
+    "favicon.ico",
+    "manifest.webmanifest",
+    "icons/icon-192.png",
+    "icons/icon-512.png",
+    "map-1763722299540.svg",
+    "vendor/d3/d3.min.js",
+    "vendor/topojson/topojson.min.js",
+    "vendor/d3-geo-projection/d3-geo-projection.min.js",
+    "data/world-atlas/countries-110m.json",
+    "data/world-atlas/countries-50m.json",
+    "data/world-atlas/countries-10m.json",
+    "data/us-atlas/states-10m.json"
+];
+
+self.addEventListener("install", event => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions.
+self.addEventListener("activate", event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Cache first: everything the app needs is precached, so the network is only
+// a fallback for files added since. ignoreSearch lets cache-busting query
+// strings (style.css?v=3) hit the precached copy.
+self.addEventListener("fetch", event => {
+    if (event.request.method !== "GET") return;
+    event.respondWith(
+        caches.match(event.request, { ignoreSearch: true })
+            .then(cached => cached || fetch(event.request))
+    );
+});
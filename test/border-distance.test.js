@@ -0,0 +1,113 @@
+// Border distance field on an anti-aliased raster: run with `node --test`.
+//
+// Loads fast-worker.js into a bare context (importScripts pulls the vendored
+// libraries and limits.js as in a real worker) and feeds its distance field a
+// raster of two adjacent polygons, painted the way canvas does it: per-pixel
+// coverage, source-over, read back un-premultiplied.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const root = path.join(__dirname, "..");
+
+function loadWorker() {
+    const context = vm.createContext({ console });
+    context.self = context;
+    context.importScripts = (...files) => {
+        for (const file of files) vm.runInContext(fs.readFileSync(path.join(root, file), "utf8"), context);
+    };
+    vm.runInContext(fs.readFileSync(path.join(root, "fast-worker.js"), "utf8"), context);
+    return context;
+}
+
+function inPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i], [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+// Fill each polygon in turn with its feature color (index i + 1 in RGB), as
+// rasterizeCountries does, anti-aliased by 8×8 supersampling.
+function rasterize(polygons, width, height) {
+    const SAMPLES = 8;
+    const premultiplied = new Float64Array(width * height * 4);
+    polygons.forEach((polygon, i) => {
+        const color = [(i + 1) & 255, ((i + 1) >> 8) & 255, ((i + 1) >> 16) & 255];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let hits = 0;
+                for (let sy = 0; sy < SAMPLES; sy++) {
+                    for (let sx = 0; sx < SAMPLES; sx++) {
+                        if (inPolygon(x + (sx + 0.5) / SAMPLES, y + (sy + 0.5) / SAMPLES, polygon)) hits++;
+                    }
+                }
+                const coverage = hits / (SAMPLES * SAMPLES);
+                if (!coverage) continue;
+                const k = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) premultiplied[k + c] = color[c] * coverage + premultiplied[k + c] * (1 - coverage);
+                premultiplied[k + 3] = coverage + premultiplied[k + 3] * (1 - coverage);
+            }
+        }
+    });
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let k = 0; k < data.length; k += 4) {
+        const alpha = premultiplied[k + 3];
+        if (!alpha) continue;
+        for (let c = 0; c < 3; c++) data[k + c] = Math.round(premultiplied[k + c] / alpha);
+        data[k + 3] = Math.round(alpha * 255);
+    }
+    return data;
+}
+
+const WIDTH = 64;
+const HEIGHT = 48;
+
+// Two countries sharing a seam from (0, top) to (WIDTH, bottom), inset from
+// the raster's edges so they also have a coast.
+function twoCountries(top, bottom) {
+    const seamY = x => top + (bottom - top) * x / WIDTH;
+    const north = [[4, 4], [WIDTH - 4, 4], [WIDTH - 4, seamY(WIDTH - 4)], [4, seamY(4)]];
+    const south = [[4, seamY(4)], [WIDTH - 4, seamY(WIDTH - 4)], [WIDTH - 4, HEIGHT - 4], [4, HEIGHT - 4]];
+    return { polygons: [north, south], seamY };
+}
+
+function borderField(worker, polygons) {
+    vm.runInContext(`world = { features: [${polygons.map(() => "{}").join(", ")}] };`, worker);
+    const data = rasterize(polygons, WIDTH, HEIGHT);
+    return { data, field: worker.borderDistanceField(data, WIDTH, HEIGHT) };
+}
+
+test("finds a seam that runs through the middle of a pixel row", () => {
+    const worker = loadWorker();
+    const { polygons } = twoCountries(20.5, 20.5);
+    const { data, field } = borderField(worker, polygons);
+
+    // The seam row is only partly covered by each country.
+    const alpha = data[(20 * WIDTH + 32) * 4 + 3];
+    assert.ok(alpha > 0 && alpha < 255, `seam pixel alpha ${alpha}`);
+
+    for (let x = 6; x < WIDTH - 6; x++) {
+        assert.ok(field[20 * WIDTH + x] <= 1, `seam at x=${x} is ${field[20 * WIDTH + x]} px away`);
+        assert.ok(Math.abs(field[10 * WIDTH + x] - 10) <= 1.5, `x=${x}, 10 rows north: ${field[10 * WIDTH + x]}`);
+        assert.ok(Math.abs(field[30 * WIDTH + x] - 10) <= 1.5, `x=${x}, 10 rows south: ${field[30 * WIDTH + x]}`);
+    }
+});
+
+test("follows a slanted seam and ignores the coast", () => {
+    const worker = loadWorker();
+    const { polygons, seamY } = twoCountries(14.3, 31.7);
+    const { field } = borderField(worker, polygons);
+
+    for (let x = 6; x < WIDTH - 6; x++) {
+        const y = Math.round(seamY(x + 0.5) - 0.5);
+        assert.ok(field[y * WIDTH + x] <= 1.5, `seam at x=${x}, y=${y} is ${field[y * WIDTH + x]} px away`);
+    }
+    // A coastal pixel far from the seam is far from any border.
+    assert.ok(field[5 * WIDTH + WIDTH - 6] > 8, "coast read as a border");
+});
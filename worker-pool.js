@@ -6,6 +6,7 @@ class WorkerPool {
         this.availableWorkers = [];
         this.taskQueue = [];
         this.initialized = false;
+        this.generation = 0;
 
         console.log(`Initializing worker pool with ${this.numWorkers} workers`);
         
@@ -18,22 +19,45 @@ class WorkerPool {
         }
     }
     
-    // Initialize all workers with world data. Returns { features, neighbors }.
-    async init(topology) {
+    // Initialize (or re-initialize, when the dataset changes) all workers with
+    // map data. `options` picks the TopoJSON object and the property holding
+    // each feature's name. Returns { features, neighbors }.
+    async init(topology, options = {}) {
+        const payload = {
+            topology,
+            objectName: options.objectName || 'countries',
+            nameProperty: options.nameProperty || 'name'
+        };
+        // Bumped per init so a calculation that straddles a dataset switch can
+        // tell its chunks may come from different datasets.
+        this.generation++;
+        const wasInitialized = this.initialized;
+        this.initialized = false;
         const initPromises = this.workers.map(worker => {
-            return new Promise((resolve) => {
+            return new Promise((resolve, reject) => {
                 const handler = (e) => {
                     if (e.data.type === 'features') {
                         worker.removeEventListener('message', handler);
                         resolve({ features: e.data.features, neighbors: e.data.neighbors });
+                    } else if (e.data.type === 'error') {
+                        worker.removeEventListener('message', handler);
+                        reject(new Error(e.data.error));
                     }
                 };
                 worker.addEventListener('message', handler);
-                worker.postMessage({ type: 'init', payload: topology });
+                worker.postMessage({ type: 'init', payload });
             });
         });
 
-        const results = await Promise.all(initPromises);
+        // A topology the workers reject (bad local file) leaves them on the
+        // previous dataset, so the pool stays usable if it was before.
+        let results;
+        try {
+            results = await Promise.all(initPromises);
+        } catch (error) {
+            this.initialized = wasInitialized;
+            throw error;
+        }
         this.initialized = true;
         console.log('Worker pool initialized');
         return results[0]; // All workers return the same data
@@ -46,6 +70,7 @@ class WorkerPool {
         }
         
         const { width, height, spacing } = params;
+        const generation = this.generation;
         
         // Divide work into chunks across X dimension
         // IMPORTANT: Align chunk boundaries to spacing grid to prevent overlap/duplicates
@@ -116,6 +141,11 @@ class WorkerPool {
         
         const results = await Promise.all(chunkPromises);
 
+        // The workers were re-initialized with another dataset meanwhile, so
+        // these chunks may mix old and new features: resolve to null and let
+        // the caller render again.
+        if (generation !== this.generation) return null;
+
         // Chunk boundaries are aligned to the spacing grid and chained via
         // lastEndX, and each chunk iterates x < endX (half-open), so chunks are
         // contiguous and non-overlapping by construction — no dedup needed.